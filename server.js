@@ -4,11 +4,38 @@ const nodemailer = require('nodemailer');
 const cors = require('cors');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
+const { imageSize } = require('image-size');
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { Server } = require('socket.io');
 const app = express();
+const server = http.createServer(app);
+const io = new Server(server, {
+  cors: {
+    origin: "*", // Allow all origins
+  }
+});
 
 // Middleware
 app.use(express.json());
 require('dotenv').config();
+
+// Which proxies may set X-Forwarded-For, e.g. 'true', a hop count like '1',
+// or a list of IPs/subnets. Defaults to private network proxies only.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 'loopback, linklocal, uniquelocal';
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 app.use(
   cors({
     origin: "*", // Allow all origins
@@ -35,33 +62,321 @@ cloudinary.config({
 
 // Multer configuration for file uploads
 const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
+
+// Image uploads for blog posts, products and the media library
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/avif'];
+const IMAGE_MAX_SIZE_MB = Number(process.env.IMAGE_MAX_SIZE_MB) || 5;
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: IMAGE_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error(`Image must be one of: ${IMAGE_MIME_TYPES.join(', ')}`), { status: 400 }));
+    }
+  }
+});
+
+// Resume uploads for native job applications
+const RESUME_MIME_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+];
+const RESUME_MAX_SIZE_MB = Number(process.env.RESUME_MAX_SIZE_MB) || 5;
+const resumeUpload = multer({
+  storage: storage,
+  limits: { fileSize: RESUME_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (RESUME_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Resume must be a PDF or Word document'), { status: 400 }));
+    }
+  }
+});
+
+// CSV and JSON files for bulk imports. Browsers disagree on the MIME type of
+// a CSV file, so the extension decides.
+const DATA_IMPORT_MAX_SIZE_MB = Number(process.env.DATA_IMPORT_MAX_SIZE_MB) || 5;
+const dataUpload = multer({
+  storage: storage,
+  limits: { fileSize: DATA_IMPORT_MAX_SIZE_MB * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(Object.assign(new Error('Import file must be a .csv or .json file'), { status: 400 }));
+    }
+  }
+});
+
+// Wrap a multer middleware so upload problems become 400 responses instead of 500s
+const handleUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error) return next();
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error.status === 400) {
+      return res.status(400).json({ message: error.message });
+    }
+    next(error);
+  });
+};
+
+// Soft delete
+// Trashed documents get deletedAt/deletedBy and are left out of every find, count
+// and update unless the filter mentions deletedAt or the query sets { withDeleted: true }.
+const SOFT_DELETE_QUERIES = ['countDocuments', 'distinct', 'find', 'findOne', 'findOneAndUpdate', 'updateMany', 'updateOne'];
+
+const softDelete = (schema) => {
+  schema.add({
+    deletedAt: { type: Date, default: null, index: true },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' }
+  });
+  schema.pre(SOFT_DELETE_QUERIES, function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  });
+};
 
 // Schemas
+const CONTACT_STATUSES = ['new', 'in-progress', 'resolved', 'spam'];
 const ContactSchema = new mongoose.Schema({
   name: String,
   email: String,
   message: String,
+  // Suspected spam is kept for review but never emailed
+  quarantined: { type: Boolean, default: false, index: true },
+  spamScore: { type: Number, default: 0 },
+  spamReasons: [String],
+  // Inquiry workflow
+  status: { type: String, enum: CONTACT_STATUSES, default: 'new', index: true },
+  assignee: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', index: true },
+  tags: [String],
+  notes: [{
+    text: { type: String, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    authorName: String,
+    date: { type: Date, default: Date.now }
+  }],
+  // Replies sent to the visitor from the admin dashboard
+  thread: [{
+    direction: { type: String, enum: ['outbound', 'inbound'], default: 'outbound' },
+    subject: String,
+    body: { type: String, required: true },
+    to: String,
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    sentByName: String,
+    outbox: { type: mongoose.Schema.Types.ObjectId, ref: 'OutboxEmail' },
+    date: { type: Date, default: Date.now }
+  }],
+  date: { type: Date, default: Date.now }
+});
+ContactSchema.plugin(softDelete);
+
+// Outbox schema - every email is queued here and sent by the background worker
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'dead'];
+const OutboxEmailSchema = new mongoose.Schema({
+  template: { type: String, required: true },
+  variables: mongoose.Schema.Types.Mixed,
+  to: { type: String, required: true },
+  replyTo: String,
+  subject: String,
+  // Extra headers, e.g. List-Unsubscribe on newsletter emails
+  headers: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: OUTBOX_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 5 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  lastError: String,
+  messageId: String,
+  sentAt: Date,
+  date: { type: Date, default: Date.now }
+});
+OutboxEmailSchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Newsletter subscriber schema - double opt-in, then weekly digests
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed'];
+
+const SubscriberSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  name: String,
+  status: { type: String, enum: SUBSCRIBER_STATUSES, default: 'pending', index: true },
+  // What the digest includes; empty lists mean no filter on that field
+  topics: {
+    blog: { type: Boolean, default: true },
+    tags: [String],
+    jobs: { type: Boolean, default: true },
+    jobTypes: [String],
+    jobLocations: [String]
+  },
+  // SHA-256 of the emailed confirmation token
+  confirmTokenHash: { type: String, select: false, index: true },
+  confirmTokenExpiresAt: { type: Date, select: false },
+  confirmedAt: Date,
+  unsubscribedAt: Date,
+  lastDigestAt: Date,
+  nextDigestAt: { type: Date, index: true },
+  date: { type: Date, default: Date.now }
+});
+
+// Media schema - every uploaded image and where it is used
+const MediaSchema = new mongoose.Schema({
+  url: { type: String, required: true, index: true },
+  // Storage driver and the driver's identifier for the file
+  driver: { type: String, enum: ['cloudinary', 'local'], required: true },
+  key: { type: String, required: true },
+  filename: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  references: [{
+    kind: { type: String, enum: ['BlogPost', 'Product'] },
+    id: mongoose.Schema.Types.ObjectId
+  }],
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
   date: { type: Date, default: Date.now }
 });
 
+// Rate limit counter for the 'mongo' rate limit store, shared across server instances
+const RateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+RateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+// Blog post schema
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+const BLOG_CONTENT_FORMATS = ['markdown', 'html'];
+
 const BlogPostSchema = new mongoose.Schema({
   title: { type: String, required: true },
+  // Source as written by the editor; clients should display contentHtml
   content: { type: String, required: true },
+  contentFormat: { type: String, enum: BLOG_CONTENT_FORMATS, default: 'markdown' },
+  // Sanitized HTML, heading anchors, TOC and reading time are derived from content on save
+  contentHtml: String,
+  toc: [{
+    _id: false,
+    level: Number,
+    text: String,
+    id: String
+  }],
+  wordCount: Number,
+  readingTime: Number,
   excerpt: String,
+  // True while the excerpt is generated from the content rather than written by hand
+  excerptGenerated: { type: Boolean, default: false },
   author: { type: String, required: true },
   image: String,
   tags: [String],
   published: { type: Boolean, default: false },
+  // First time the post went live
+  publishedAt: Date,
+  // Scheduled publishing - applied by the scheduler, then cleared
+  publishAt: { type: Date, index: true },
+  unpublishAt: { type: Date, index: true },
   date: { type: Date, default: Date.now },
-  slug: { type: String, unique: true }
+  slug: { type: String, unique: true },
+  // Slugs the post had before, so old links can be redirected
+  previousSlugs: { type: [String], index: true },
+  // Approved comments, kept in sync by the moderation endpoints
+  commentCount: { type: Number, default: 0 }
+}, { timestamps: { createdAt: false } });
+BlogPostSchema.pre('save', function (next) {
+  if (this.published && !this.publishedAt) this.publishedAt = new Date();
+
+  // An excerpt sent by the editor is kept as written
+  if (this.isModified('excerpt')) this.excerptGenerated = false;
+
+  const contentChanged = this.isModified('content') || this.isModified('contentFormat') || this.contentHtml === undefined;
+  if (contentChanged) {
+    const rendered = renderBlogContent(this.content, this.contentFormat);
+    this.contentHtml = rendered.html;
+    this.toc = rendered.toc;
+    this.wordCount = rendered.wordCount;
+    this.readingTime = rendered.readingTime;
+  }
+  if (!this.excerpt || !this.excerpt.trim() || (this.excerptGenerated && contentChanged)) {
+    this.excerpt = buildExcerpt(htmlToText(this.contentHtml));
+    this.excerptGenerated = true;
+  }
+  next();
 });
+BlogPostSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'BlogPostTextIndex', weights: { title: 10, tags: 5, content: 1 } }
+);
+BlogPostSchema.plugin(softDelete);
+
+// Blog revision schema - immutable snapshot written on every create/update/restore
+const BlogRevisionSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true, index: true, immutable: true },
+  version: { type: Number, required: true, immutable: true },
+  action: { type: String, enum: ['create', 'update', 'restore'], required: true, immutable: true },
+  snapshot: {
+    title: String,
+    content: String,
+    contentFormat: String,
+    excerpt: String,
+    author: String,
+    image: String,
+    tags: [String],
+    published: Boolean
+  },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', immutable: true },
+  editedByName: { type: String, immutable: true },
+  // Revision that was restored, when action is 'restore'
+  restoredFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'BlogRevision', immutable: true },
+  date: { type: Date, default: Date.now, immutable: true }
+});
+BlogRevisionSchema.index({ post: 1, version: -1 }, { unique: true });
+
+// Revisions are append-only
+BlogRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Blog revisions are immutable'));
+});
+
+// Blog comment schema - visitors comment anonymously, comments wait for moderation
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+const MAX_COMMENT_DEPTH = 3;
+
+const CommentSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true },
+  // Direct parent for replies and the top-level comment of the thread; both null for top-level comments
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  root: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null, index: true },
+  depth: { type: Number, default: 0 },
+  name: { type: String, required: true, trim: true },
+  // Never shown publicly
+  email: { type: String, required: true, lowercase: true, trim: true },
+  text: { type: String, required: true },
+  status: { type: String, enum: COMMENT_STATUSES, default: 'pending', index: true },
+  spamScore: Number,
+  spamReasons: [String],
+  visitor: String,
+  moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  moderatedAt: Date,
+  date: { type: Date, default: Date.now }
+});
+CommentSchema.index({ post: 1, status: 1, parent: 1, date: 1 });
+
+// Job posting schema
+const JOB_TYPES = ['Full-time', 'Part-time', 'Contract', 'Internship'];
 
 const JobPostingSchema = new mongoose.Schema({
   title: { type: String, required: true },
   company: { type: String, required: true },
   location: String,
-  type: { type: String, enum: ['Full-time', 'Part-time', 'Contract', 'Internship'], default: 'Full-time' },
+  type: { type: String, enum: JOB_TYPES, default: 'Full-time' },
   description: { type: String, required: true },
   requirements: [String],
   benefits: [String],
@@ -70,38 +385,162 @@ const JobPostingSchema = new mongoose.Schema({
     max: Number,
     currency: { type: String, default: 'USD' }
   },
-  applicationDeadline: Date,
-  applyUrl: { type: String, required: true },
+  applicationDeadline: { type: Date, index: true },
+  // Accept applications through POST /api/jobs/:id/applications instead of only applyUrl
+  acceptsApplications: { type: Boolean, default: false },
+  applyUrl: { type: String, required: function () { return !this.acceptsApplications; } },
   isActive: { type: Boolean, default: true },
+  // Set when the scheduler deactivates the job after its applicationDeadline
+  expiredAt: Date,
   date: { type: Date, default: Date.now },
-  // Tracking metrics
+  // Tracking metrics - running totals only, per-visitor data lives in JobEvent
   views: {
-    count: { type: Number, default: 0 },
-    uniqueIPs: [String],
-    browsers: [String]
+    count: { type: Number, default: 0 }
   },
   shares: {
-    count: { type: Number, default: 0 },
-    uniqueIPs: [String]
+    count: { type: Number, default: 0 }
   },
   applications: {
-    count: { type: Number, default: 0 },
-    uniqueIPs: [String]
+    count: { type: Number, default: 0 }
   }
+}, { timestamps: { createdAt: false } });
+JobPostingSchema.index(
+  { title: 'text', company: 'text', description: 'text', requirements: 'text' },
+  { name: 'JobPostingTextIndex', weights: { title: 10, company: 5, requirements: 2, description: 1 } }
+);
+JobPostingSchema.plugin(softDelete);
+
+// Job event schema - one document per tracked view, share or application
+const JOB_EVENT_TYPES = ['view', 'share', 'apply'];
+const JobEventSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'JobPosting', required: true },
+  // Denormalised so company reports don't need a join
+  company: String,
+  type: { type: String, enum: JOB_EVENT_TYPES, required: true },
+  // Salted, rotating hash of IP and user agent - never the raw IP
+  visitor: String,
+  browser: String,
+  os: String,
+  device: String,
+  // Referring host, or 'direct'
+  referrer: String,
+  date: { type: Date, default: Date.now }
+});
+JobEventSchema.index({ job: 1, date: -1 });
+JobEventSchema.index({ company: 1, date: -1 });
+JobEventSchema.index({ date: -1 });
+
+// Application schema - candidates applying through the native flow
+const APPLICATION_STAGES = ['new', 'screening', 'interview', 'offer', 'rejected'];
+const ApplicationSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'JobPosting', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  phone: String,
+  coverLetter: String,
+  resume: {
+    url: String,
+    publicId: String,
+    // Storage driver that holds the file, see storageDrivers
+    driver: String,
+    filename: String,
+    mimeType: String,
+    size: Number
+  },
+  stage: { type: String, enum: APPLICATION_STAGES, default: 'new', index: true },
+  stageHistory: [{
+    stage: { type: String, enum: APPLICATION_STAGES },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    date: { type: Date, default: Date.now }
+  }],
+  notes: [{
+    text: { type: String, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+    authorName: String,
+    date: { type: Date, default: Date.now }
+  }],
+  date: { type: Date, default: Date.now }
+});
+ApplicationSchema.index({ job: 1, email: 1 }, { unique: true });
+
+// Conversation schema - one per visitor chat session
+const ConversationSchema = new mongoose.Schema({
+  visitorName: String,
+  visitorEmail: String,
+  // Secret handed to the visitor when the conversation starts
+  visitorToken: { type: String, required: true, select: false },
+  status: { type: String, enum: ['open', 'closed'], default: 'open' },
+  unreadByAdmin: { type: Number, default: 0 },
+  unreadByVisitor: { type: Number, default: 0 },
+  lastMessage: String,
+  lastMessageAt: Date,
+  // When the bot hands off to email unless an admin replies first; cleared by an
+  // admin reply and picked up by the scheduler, so pending handoffs survive restarts
+  handoffDueAt: { type: Date, index: true },
+  // Set when the bot has told the visitor we'll follow up by email
+  handoffAt: Date,
+  date: { type: Date, default: Date.now }
 });
+ConversationSchema.index({ status: 1, lastMessageAt: -1 });
+const Conversation = mongoose.model('Conversation', ConversationSchema);
 
 // Add ChatMessage schema
 const ChatMessageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, ref: 'Conversation', index: true },
   from: { type: String, enum: ['user', 'admin', 'bot'], required: true },
   text: { type: String, required: true },
+  // Admin who sent the message, when from is 'admin'
+  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  readAt: Date,
   date: { type: Date, default: Date.now }
 });
+ChatMessageSchema.plugin(softDelete);
 const ChatMessage = mongoose.model('ChatMessage', ChatMessageSchema);
 
+// Chatbot intent schema - admin-configurable auto-replies for the 'bot' sender
+const BOT_INTENT_ACTIONS = ['none', 'latestJobs', 'productsByCategory'];
+
+const BotIntentSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  // Matched case-insensitively as whole words
+  keywords: [String],
+  // Optional regular expression, matched case-insensitively
+  pattern: String,
+  response: { type: String, required: true },
+  // Live data appended to the response
+  action: { type: String, enum: BOT_INTENT_ACTIONS, default: 'none' },
+  // Product category for 'productsByCategory'; a (?<category>...) group in pattern overrides it
+  category: String,
+  limit: { type: Number, default: 3, min: 1, max: 10 },
+  // Higher priority intents are tried first
+  priority: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  date: { type: Date, default: Date.now }
+});
+
+BotIntentSchema.path('pattern').validate(function (value) {
+  if (!value) return true;
+  try {
+    new RegExp(value, 'i');
+    return true;
+  } catch (error) {
+    return false;
+  }
+}, 'Invalid regular expression');
+const BotIntent = mongoose.model('BotIntent', BotIntentSchema);
+
 // Models
 const Contact = mongoose.model('Contact', ContactSchema);
+const RateLimitHit = mongoose.model('RateLimitHit', RateLimitHitSchema);
+const OutboxEmail = mongoose.model('OutboxEmail', OutboxEmailSchema);
+const Subscriber = mongoose.model('Subscriber', SubscriberSchema);
+const Media = mongoose.model('Media', MediaSchema);
 const BlogPost = mongoose.model('BlogPost', BlogPostSchema);
+const BlogRevision = mongoose.model('BlogRevision', BlogRevisionSchema);
+const Comment = mongoose.model('Comment', CommentSchema);
 const JobPosting = mongoose.model('JobPosting', JobPostingSchema);
+const Application = mongoose.model('Application', ApplicationSchema);
+const JobEvent = mongoose.model('JobEvent', JobEventSchema);
 
 // Product Schema
 const ProductSchema = new mongoose.Schema({
@@ -110,651 +549,6081 @@ const ProductSchema = new mongoose.Schema({
   description: { type: String, required: true },
   image: String,
   date: { type: Date, default: Date.now }
-});
+}, { timestamps: { createdAt: false } });
+ProductSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, description: 1 } }
+);
+ProductSchema.plugin(softDelete);
 const Product = mongoose.model('Product', ProductSchema);
 
-// Helper function to get client IP and browser info
-const getClientInfo = (req) => {
-  const ip = req.headers['x-forwarded-for'] || 
-             req.connection.remoteAddress || 
-             req.socket.remoteAddress ||
-             (req.connection.socket ? req.connection.socket.remoteAddress : null) ||
-             req.ip;
-  
-  const userAgent = req.headers['user-agent'] || '';
-  const browser = userAgent.includes('Chrome') ? 'Chrome' :
-                  userAgent.includes('Firefox') ? 'Firefox' :
-                  userAgent.includes('Safari') ? 'Safari' :
-                  userAgent.includes('Edge') ? 'Edge' :
-                  userAgent.includes('Opera') ? 'Opera' : 'Other';
-  
-  return { ip: ip.replace('::ffff:', ''), browser };
-};
+// Admin user schema
+// Roles: 'admin' can do everything, 'editor' manages the blog, 'recruiter' manages jobs
+const ADMIN_ROLES = ['admin', 'editor', 'recruiter'];
 
-// Nodemailer transporter
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
+const AdminUserSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  password: { type: String, required: true, select: false },
+  role: { type: String, enum: ADMIN_ROLES, default: 'editor' },
+  isActive: { type: Boolean, default: true },
+  // Bumped on logout/password change to invalidate outstanding refresh tokens
+  tokenVersion: { type: Number, default: 0 },
+  lastLogin: Date,
+  date: { type: Date, default: Date.now }
 });
 
-/**
- * Handle contact form submission.
- * 
- * @route POST /api/contact
- * @param {String} name - Sender's name
- * @param {String} email - Sender's email
- * @param {String} message - Message content
- * @returns {Object} JSON response
- */
-app.post('/api/contact', async (req, res) => {
+AdminUserSchema.pre('save', async function (next) {
+  if (!this.isModified('password')) return next();
   try {
-    const { name, email, message } = req.body;
+    this.password = await bcrypt.hash(this.password, 12);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Save to MongoDB
-    const newContact = new Contact({ name, email, message });
-    await newContact.save();
+AdminUserSchema.methods.comparePassword = function (candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
 
-    // Send email using Nodemailer
-    await transporter.sendMail({
-      from: email,
-      to: process.env.REC_EMAIL,
-      subject: 'New Contact Form Submission',
-      text: `Name: ${name}\nEmail: ${email}\nMessage: ${message}`
-    });
+AdminUserSchema.methods.toJSON = function () {
+  const user = this.toObject();
+  delete user.password;
+  delete user.tokenVersion;
+  return user;
+};
+const AdminUser = mongoose.model('AdminUser', AdminUserSchema);
 
-    res.status(200).json({ message: 'Message sent successfully' });
-  } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({ message: 'An error occurred' });
-  }
+// Audit log schema - append-only record of every change to managed content.
+// Admin actions keep the IP they came from; visitors are only recorded by their
+// hashed visitor id, the same as everywhere else.
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+const AUDIT_RESOURCES = ['BlogPost', 'JobPosting', 'Product', 'Contact', 'ChatMessage'];
+const AUDIT_ACTOR_TYPES = ['admin', 'visitor', 'system'];
+
+const AuditLogSchema = new mongoose.Schema({
+  actorType: { type: String, enum: AUDIT_ACTOR_TYPES, required: true, immutable: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', immutable: true },
+  actorName: { type: String, immutable: true },
+  actorRole: { type: String, immutable: true },
+  action: { type: String, enum: AUDIT_ACTIONS, required: true, immutable: true },
+  resource: { type: String, enum: AUDIT_RESOURCES, required: true, immutable: true },
+  resourceId: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true },
+  // Title, name or similar at the time of the change, so entries stay readable after a purge
+  label: { type: String, immutable: true },
+  changes: [{
+    _id: false,
+    field: String,
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  ip: { type: String, immutable: true },
+  visitor: { type: String, immutable: true },
+  date: { type: Date, default: Date.now, immutable: true }
+});
+AuditLogSchema.index({ resource: 1, resourceId: 1, date: -1 });
+AuditLogSchema.index({ actor: 1, date: -1 });
+AuditLogSchema.index({ date: -1 });
+
+// Audit entries are append-only
+AuditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function (next) {
+  next(new Error('Audit log entries are immutable'));
+});
+const AuditLog = mongoose.model('AuditLog', AuditLogSchema);
+
+// Webhook schemas - admin-registered endpoints, and one delivery per event per endpoint
+const WEBHOOK_EVENTS = [
+  'contact.created',
+  'chat.message.created',
+  'job.created',
+  'job.updated',
+  'job.expired',
+  'job.applied',
+  'blog.published',
+  'product.created'
+];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'dead'];
+
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  description: String,
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: { validator: events => events.length > 0, message: 'At least one event is required' }
+  },
+  // Signing secret, only returned when the webhook is created or the secret rotated
+  secret: { type: String, required: true, select: false },
+  isActive: { type: Boolean, default: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser' },
+  lastDeliveryAt: Date,
+  date: { type: Date, default: Date.now }
+});
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true, index: true },
+  // 'ping' for test deliveries, otherwise one of WEBHOOK_EVENTS
+  event: { type: String, required: true, index: true },
+  // Shared by the deliveries of one event to every endpoint, and by redeliveries
+  eventId: { type: String, required: true },
+  url: { type: String, required: true },
+  payload: mongoose.Schema.Types.Mixed,
+  status: { type: String, enum: WEBHOOK_DELIVERY_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 8 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedAt: Date,
+  // One entry per attempt: HTTP status or network error, and how long it took
+  attemptLog: [{
+    _id: false,
+    date: { type: Date, default: Date.now },
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+  }],
+  lastError: String,
+  deliveredAt: Date,
+  redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery' },
+  date: { type: Date, default: Date.now }
 });
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+// Visitor hashing - raw IPs are never stored. The salt rotates every
+// VISITOR_SALT_ROTATION_HOURS, so hashes can't be linked across periods.
+const VISITOR_HASH_SECRET = process.env.VISITOR_HASH_SECRET || crypto.randomBytes(32).toString('hex');
+const VISITOR_SALT_ROTATION_HOURS = Number(process.env.VISITOR_SALT_ROTATION_HOURS) || 24;
+if (!process.env.VISITOR_HASH_SECRET) {
+  console.log('⚠️ VISITOR_HASH_SECRET is not set, visitor hashes will change on every restart');
+}
+
+const hashVisitor = (ip, userAgent) => {
+  const period = Math.floor(Date.now() / (VISITOR_SALT_ROTATION_HOURS * 60 * 60 * 1000));
+  const salt = crypto.createHmac('sha256', VISITOR_HASH_SECRET).update(String(period)).digest();
+  return crypto.createHmac('sha256', salt).update(`${ip}|${userAgent}`).digest('hex').slice(0, 32);
+};
+
+// Crawlers, link previewers, monitoring and scripted clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|scrape|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python|axios|node-fetch|undici|okhttp|go-http-client|java\/|libwww|httpclient|postman/i;
+
+// Order matters: most browsers also claim to be Chrome and/or Safari
+const BROWSER_PATTERNS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera|OPT\//],
+  ['Samsung Internet', /SamsungBrowser\//],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Internet Explorer', /MSIE |Trident\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const OS_PATTERNS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Chrome OS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const matchPattern = (patterns, userAgent) => {
+  const match = patterns.find(([, pattern]) => pattern.test(userAgent));
+  return match ? match[0] : 'Other';
+};
 
 /**
- * Get all blog posts
- * 
- * @route GET /api/blog
- * @returns {Array} Array of blog posts
+ * Helper function to get client IP and browser info.
+ * The IP comes from req.ip, which honours the 'trust proxy' setting
+ * instead of blindly trusting X-Forwarded-For. Use visitor, not ip, for anything stored.
  */
-app.get('/api/blog', async (req, res) => {
+const getClientInfo = (req) => {
+  const ip = (req.ip || req.socket.remoteAddress || '').replace('::ffff:', '');
+  const userAgent = req.headers['user-agent'] || '';
+
+  const isBot = !userAgent || BOT_PATTERN.test(userAgent);
+  const browser = isBot ? 'Bot' : matchPattern(BROWSER_PATTERNS, userAgent);
+  const os = matchPattern(OS_PATTERNS, userAgent);
+  const device = /iPad|Tablet/i.test(userAgent) ? 'tablet' : /Mobi|Android|iPhone/i.test(userAgent) ? 'mobile' : 'desktop';
+
+  return { ip, visitor: hashVisitor(ip, userAgent), browser, os, device, isBot };
+};
+
+// Referring host for analytics, or 'direct' when there is none
+const getReferrer = (req) => {
+  const referer = req.headers.referer || req.headers.referrer;
+  if (!referer) return 'direct';
   try {
-    const posts = await BlogPost.find({ published: true }).sort({ date: -1 });
-    res.status(200).json(posts);
+    return new URL(referer).hostname || 'direct';
   } catch (error) {
-    console.error('Error fetching blog posts:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    return 'direct';
   }
-});
+};
 
 /**
- * Get a single blog post by slug
- * 
- * @route GET /api/blog/:slug
- * @param {String} slug - Blog post slug
- * @returns {Object} Blog post object
+ * Record a view/share/apply event for a job and bump its running counter.
+ * Bot traffic is ignored. Tracking failures are logged and never fail the request.
+ *
+ * @returns {Object|null} Updated job posting
  */
-app.get('/api/blog/:slug', async (req, res) => {
+const trackJobEvent = async (req, job, type) => {
+  const { visitor, browser, os, device, isBot } = getClientInfo(req);
+  if (isBot) return job;
+
+  const counter = { view: 'views.count', share: 'shares.count', apply: 'applications.count' }[type];
+  // Counters are not edits, so they leave updatedAt (the sitemap lastmod) alone
+  const updatedJob = await JobPosting.findByIdAndUpdate(job._id, { $inc: { [counter]: 1 } }, { new: true, timestamps: false });
+
   try {
-    const post = await BlogPost.findOne({ slug: req.params.slug, published: true });
-    if (!post) {
-      return res.status(404).json({ message: 'Blog post not found' });
-    }
-    res.status(200).json(post);
+    await JobEvent.create({
+      job: job._id,
+      company: job.company,
+      type,
+      visitor,
+      browser,
+      os,
+      device,
+      referrer: getReferrer(req)
+    });
   } catch (error) {
-    console.error('Error fetching blog post:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    console.error('Error recording job event:', error);
   }
+  return updatedJob;
+};
+
+// Query for blog posts that are live right now, even if the scheduler hasn't caught up yet
+const publishedBlogFilter = (now = new Date()) => ({
+  $and: [
+    { $or: [{ published: true }, { publishAt: { $lte: now } }] },
+    { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+  ]
 });
 
-/**
- * Create a new blog post
- * 
- * @route POST /api/blog
- * @param {String} title - Blog post title
- * @param {String} content - Blog post content
- * @param {String} author - Author name
- * @param {String} excerpt - Blog post excerpt
- * @param {Array} tags - Blog post tags
- * @param {Boolean} published - Whether the post is published
- * @returns {Object} Created blog post
- */
-app.post('/api/blog', upload.single('image'), async (req, res) => {
-  try {
-    const { title, content, author, excerpt, tags, published } = req.body;
-    
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { resource_type: 'auto' },
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              reject(error);
-            } else {
-              resolve(result.secure_url);
-            }
-          }
-        );
-        stream.end(req.file.buffer);
+// Query for jobs that are active and still accepting applications
+const activeJobFilter = (now = new Date()) => ({
+  isActive: true,
+  $or: [{ applicationDeadline: null }, { applicationDeadline: { $gt: now } }]
+});
+
+// Parse an optional date field: undefined = not sent, '' or null = clear it
+const parseOptionalDate = (value) => {
+  if (value === undefined) return undefined;
+  return value ? new Date(value) : null;
+};
+
+// Rate limiting
+// A store implements increment(key, windowMs) -> { count, resetAt }.
+// RATE_LIMIT_STORE selects 'memory' (default, per process) or 'mongo' (shared).
+class MemoryRateLimitStore {
+  constructor() {
+    this.hits = new Map();
+    // Sweep expired keys so the map doesn't grow forever
+    setInterval(() => {
+      const now = Date.now();
+      this.hits.forEach((hit, key) => {
+        if (hit.resetAt <= now) this.hits.delete(key);
       });
+    }, 60 * 1000).unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let hit = this.hits.get(key);
+    if (!hit || hit.resetAt <= now) {
+      hit = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, hit);
     }
+    hit.count += 1;
+    return { count: hit.count, resetAt: new Date(hit.resetAt) };
+  }
+}
 
-    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
-    
-    const newPost = new BlogPost({
-      title,
-      content,
-      author,
-      excerpt,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      image: imageUrl,
-      slug,
-      published: published === true || published === 'true'
-    });
+class MongoRateLimitStore {
+  async increment(key, windowMs) {
+    const now = new Date();
+    // Start a fresh window when the previous one has expired
+    await RateLimitHit.updateOne(
+      { key, resetAt: { $lte: now } },
+      { $set: { count: 0, resetAt: new Date(now.getTime() + windowMs) } }
+    );
+    let hit;
+    try {
+      hit = await this.upsertHit(key, now, windowMs);
+    } catch (error) {
+      // Two first hits on the same key can both try to insert; the loser's retry finds the winner's document
+      if (error.code !== 11000) throw error;
+      hit = await this.upsertHit(key, now, windowMs);
+    }
+    return { count: hit.count, resetAt: hit.resetAt };
+  }
 
-    const savedPost = await newPost.save();
-    res.status(201).json(savedPost);
-  } catch (error) {
-    console.error('Error creating blog post:', error);
-    res.status(500).json({ message: 'An error occurred' });
+  upsertHit(key, now, windowMs) {
+    return RateLimitHit.findOneAndUpdate(
+      { key },
+      { $inc: { count: 1 }, $setOnInsert: { resetAt: new Date(now.getTime() + windowMs) } },
+      { new: true, upsert: true }
+    );
   }
-});
+}
+
+const rateLimitStores = {
+  memory: MemoryRateLimitStore,
+  mongo: MongoRateLimitStore
+};
+const RateLimitStore = rateLimitStores[process.env.RATE_LIMIT_STORE] || MemoryRateLimitStore;
+const rateLimitStore = new RateLimitStore();
 
 /**
- * Get all job postings
- * 
- * @route GET /api/jobs
- * @returns {Array} Array of job postings
+ * Count a hit against a limit.
+ *
+ * @param {String} name - Limit name, e.g. 'contact-ip'
+ * @param {String} key - What is being limited (IP, email, ...)
+ * @param {Object} options - windowMs and max
+ * @returns {Object} allowed, remaining, resetAt
+ */
+const consumeRateLimit = async (name, key, { windowMs, max }) => {
+  const { count, resetAt } = await rateLimitStore.increment(`${name}:${key}`, windowMs);
+  return { allowed: count <= max, limit: max, remaining: Math.max(max - count, 0), resetAt };
+};
+
+/**
+ * Rate limiting middleware.
+ *
+ * @param {Object} options - name, windowMs, max, key(req) returning the value to limit
+ *   on (skipped when it returns nothing), and message
  */
-app.get('/api/jobs', async (req, res) => {
+const rateLimit = ({ name, windowMs, max, key, message = 'Too many requests, please try again later' }) => async (req, res, next) => {
   try {
-    const jobs = await JobPosting.find({ isActive: true }).sort({ date: -1 });
-    res.status(200).json(jobs);
+    const value = key(req);
+    if (!value) return next();
+
+    const result = await consumeRateLimit(name, String(value).toLowerCase(), { windowMs, max });
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+      return res.status(429).json({ message });
+    }
+    next();
   } catch (error) {
-    console.error('Error fetching job postings:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    // Never block legitimate traffic because the limiter's store failed
+    console.error('Rate limiter error:', error);
+    next();
   }
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const clientIp = (req) => getClientInfo(req).ip;
+
+const contactIpLimit = rateLimit({
+  name: 'contact-ip',
+  windowMs: HOUR,
+  max: Number(process.env.CONTACT_RATE_LIMIT_IP) || 5,
+  key: clientIp
+});
+const contactEmailLimit = rateLimit({
+  name: 'contact-email',
+  windowMs: HOUR,
+  max: Number(process.env.CONTACT_RATE_LIMIT_EMAIL) || 3,
+  key: (req) => req.body && req.body.email
+});
+const CHAT_MESSAGE_LIMIT = { windowMs: MINUTE, max: Number(process.env.CHAT_RATE_LIMIT_PER_MINUTE) || 20 };
+const chatMessageLimit = rateLimit({
+  name: 'chat-ip',
+  ...CHAT_MESSAGE_LIMIT,
+  // Admins replying from the dashboard are not limited
+  key: (req) => (req.user ? null : clientIp(req))
 });
+const conversationStartLimit = rateLimit({
+  name: 'conversation-ip',
+  windowMs: HOUR,
+  max: Number(process.env.CHAT_RATE_LIMIT_CONVERSATIONS) || 10,
+  key: clientIp
+});
+const newsletterIpLimit = rateLimit({
+  name: 'newsletter-ip',
+  windowMs: HOUR,
+  max: Number(process.env.NEWSLETTER_RATE_LIMIT_IP) || 5,
+  key: clientIp
+});
+const commentIpLimit = rateLimit({
+  name: 'comment-ip',
+  windowMs: HOUR,
+  max: Number(process.env.COMMENT_RATE_LIMIT_IP) || 10,
+  key: clientIp
+});
+
+// Spam detection for public forms
+const HONEYPOT_FIELD = process.env.HONEYPOT_FIELD || 'website';
+const MIN_FILL_SECONDS = Number(process.env.MIN_FILL_SECONDS) || 3;
+const SPAM_SCORE_THRESHOLD = Number(process.env.SPAM_SCORE_THRESHOLD) || 5;
+const SPAM_KEYWORDS = (process.env.SPAM_KEYWORDS ||
+  'viagra,cialis,casino,porn,crypto investment,bitcoin,forex,backlinks,seo services,guest post,loan offer,work from home,click here')
+  .split(',')
+  .map(keyword => keyword.trim().toLowerCase())
+  .filter(Boolean);
 
 /**
- * Get a single job posting by ID
- * 
- * @route GET /api/jobs/:id
- * @param {String} id - Job posting ID
- * @returns {Object} Job posting object
+ * Score a submission for spam.
+ * Clients should send an empty honeypot field and the time the form was
+ * rendered (formStartedAt, ms since epoch); both are optional for older clients.
+ *
+ * @returns {Object} score, reasons and isSpam
  */
-app.get('/api/jobs/:id', async (req, res) => {
-  try {
-    const job = await JobPosting.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ message: 'Job posting not found' });
+const scoreSpam = (body, fields) => {
+  const reasons = [];
+  let score = 0;
+  const text = fields.map(field => body[field] || '').join(' ');
+  const lowerText = text.toLowerCase();
+
+  if (body[HONEYPOT_FIELD]) {
+    score += 10;
+    reasons.push('honeypot');
+  }
+
+  const startedAt = Number(body.formStartedAt);
+  if (startedAt && Date.now() - startedAt < MIN_FILL_SECONDS * 1000) {
+    score += 5;
+    reasons.push('submitted too fast');
+  }
+
+  const links = (text.match(/https?:\/\/|www\./gi) || []).length;
+  if (links > 0) {
+    score += links > 2 ? 4 : links;
+    reasons.push(`${links} link(s)`);
+  }
+  if (/\[url=|<a\s+href/i.test(text)) {
+    score += 3;
+    reasons.push('markup links');
+  }
+
+  const keywords = SPAM_KEYWORDS.filter(keyword => lowerText.includes(keyword));
+  if (keywords.length) {
+    score += keywords.length * 3;
+    reasons.push(`keywords: ${keywords.join(', ')}`);
+  }
+
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length > 20 && letters === letters.toUpperCase()) {
+    score += 2;
+    reasons.push('all caps');
+  }
+
+  return { score, reasons, isSpam: score >= SPAM_SCORE_THRESHOLD };
+};
+
+// Request validation
+// Each route declares rules for its params, query and body:
+//   { field: { type, required, min, max, enum, pattern, items, fields } }
+// type is one of string, number, integer, boolean, date, objectId, email, url,
+// list (array or comma-separated string), array, object or any.
+// Multipart and query values arrive as strings, so numbers, booleans and dates are
+// accepted in string form. Validation only checks values, it never rewrites them.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+const checkType = (value, rule) => {
+  switch (rule.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'number':
+      return value !== '' && !isNaN(Number(value)) && typeof value !== 'boolean' && !Array.isArray(value)
+        ? null : 'must be a number';
+    case 'integer':
+      return /^-?\d+$/.test(String(value)) && !Array.isArray(value) ? null : 'must be a whole number';
+    case 'boolean':
+      return [true, false, 'true', 'false'].includes(value) ? null : 'must be true or false';
+    case 'date':
+      return (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value))
+        ? null : 'must be a valid date';
+    case 'objectId':
+      return typeof value === 'string' && OBJECT_ID_PATTERN.test(value) ? null : 'must be a valid ID';
+    case 'email':
+      return typeof value === 'string' && EMAIL_PATTERN.test(value.trim()) ? null : 'must be a valid email address';
+    case 'url':
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? null : 'must be an http(s) URL';
+      } catch (error) {
+        return 'must be a valid URL';
+      }
+    case 'list':
+      return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'))
+        ? null : 'must be a list of strings';
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object';
+    default:
+      return null;
+  }
+};
+
+const checkRule = (value, rule, field, location, errors) => {
+  const fail = (message) => errors.push({ location, field, message: `${field} ${message}` });
+
+  if (isEmptyValue(value)) {
+    if (rule.required) fail('is required');
+    else if (rule.notEmpty && value !== undefined) fail('cannot be empty');
+    return;
+  }
+
+  const typeError = checkType(value, rule);
+  if (typeError) return fail(typeError);
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(', ')}`);
+  }
+  if (['number', 'integer'].includes(rule.type)) {
+    if (rule.min !== undefined && Number(value) < rule.min) return fail(`must be at least ${rule.min}`);
+    if (rule.max !== undefined && Number(value) > rule.max) return fail(`must be at most ${rule.max}`);
+  }
+  if (['string', 'email', 'url'].includes(rule.type)) {
+    if (rule.min !== undefined && value.trim().length < rule.min) return fail(`must be at least ${rule.min} characters`);
+    if (rule.max !== undefined && value.length > rule.max) return fail(`must be at most ${rule.max} characters`);
+    if (rule.pattern && !rule.pattern.test(value)) return fail('has an invalid format');
+  }
+  if (['list', 'array'].includes(rule.type)) {
+    const items = Array.isArray(value) ? value : value.split(',').map(item => item.trim()).filter(Boolean);
+    if (rule.max !== undefined && items.length > rule.max) return fail(`must have at most ${rule.max} items`);
+    if (rule.items) {
+      items.forEach((item, index) => checkRule(item, rule.items, `${field}[${index}]`, location, errors));
     }
-    
+  }
+  if (rule.type === 'object' && rule.fields) {
+    checkFields(value, rule.fields, location, errors, `${field}.`);
+  }
+};
+
+const checkFields = (source, rules, location, errors, prefix = '') => {
+  Object.entries(rules).forEach(([field, rule]) => {
+    checkRule(source ? source[field] : undefined, rule, `${prefix}${field}`, location, errors);
+  });
+};
+
+/**
+ * Validate req.params, req.query and req.body against declarative rules,
+ * answering 400 with field-level errors when anything fails.
+ *
+ * @param {Object} schema - { params, query, body } rule maps
+ */
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+  ['params', 'query', 'body'].forEach((location) => {
+    if (schema[location]) checkFields(req[location] || {}, schema[location], location, errors);
+  });
+  if (errors.length) {
+    return res.status(400).json({ message: 'Validation failed', errors });
+  }
+  next();
+};
+
+// Shared rules
+const idParams = { id: { type: 'objectId', required: true } };
+const slugParams = { slug: { type: 'string', required: true, max: 200 } };
+const listQuery = {
+  page: { type: 'integer', min: 1 },
+  limit: { type: 'integer', min: 1, max: 100 },
+  cursor: { type: 'string' },
+  sort: { type: 'string', max: 50 },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  q: { type: 'string', max: 200 }
+};
+const noteBody = { text: { type: 'string', required: true, min: 1, max: 5000 } };
+
+// Update routes accept any subset of the create fields
+// Update variant of a rule set: every field may be left out, but fields that are
+// required on create can't be sent empty either
+const optionalRules = (rules) => Object.fromEntries(
+  Object.entries(rules).map(([field, rule]) => [field, { ...rule, required: false, notEmpty: Boolean(rule.required) }])
+);
+
+const blogPostRules = {
+  title: { type: 'string', required: true, min: 1, max: 200 },
+  content: { type: 'string', required: true, min: 1 },
+  contentFormat: { type: 'string', enum: BLOG_CONTENT_FORMATS },
+  author: { type: 'string', required: true, min: 1, max: 100 },
+  excerpt: { type: 'string', max: 500 },
+  tags: { type: 'list', max: 20, items: { type: 'string', max: 50 } },
+  published: { type: 'boolean' },
+  publishAt: { type: 'date' },
+  unpublishAt: { type: 'date' },
+  mediaId: { type: 'objectId' },
+  // Custom slug; derived from the title when omitted
+  slug: { type: 'string', max: 100, pattern: SLUG_PATTERN }
+};
+
+const jobPostingRules = {
+  title: { type: 'string', required: true, min: 1, max: 200 },
+  company: { type: 'string', required: true, min: 1, max: 200 },
+  location: { type: 'string', max: 200 },
+  type: { type: 'string', enum: JOB_TYPES },
+  description: { type: 'string', required: true, min: 1 },
+  requirements: { type: 'list', max: 50 },
+  benefits: { type: 'list', max: 50 },
+  salary: {
+    type: 'object',
+    fields: {
+      min: { type: 'number', min: 0 },
+      max: { type: 'number', min: 0 },
+      currency: { type: 'string', max: 3 }
+    }
+  },
+  applicationDeadline: { type: 'date' },
+  applyUrl: { type: 'url', max: 2000 },
+  acceptsApplications: { type: 'boolean' }
+};
+
+const productRules = {
+  name: { type: 'string', required: true, min: 1, max: 200 },
+  category: { type: 'string', required: true, min: 1, max: 100 },
+  description: { type: 'string', required: true, min: 1 },
+  mediaId: { type: 'objectId' }
+};
+
+const botIntentRules = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  keywords: { type: 'list', max: 50 },
+  pattern: { type: 'string', max: 500 },
+  response: { type: 'string', required: true, min: 1, max: 2000 },
+  action: { type: 'string', enum: BOT_INTENT_ACTIONS },
+  category: { type: 'string', max: 100 },
+  limit: { type: 'integer', min: 1, max: 10 },
+  priority: { type: 'integer' },
+  isActive: { type: 'boolean' }
+};
+
+const jobListQuery = {
+  ...listQuery,
+  type: { type: 'list' },
+  location: { type: 'string', max: 200 },
+  company: { type: 'string', max: 200 },
+  salaryMin: { type: 'number' },
+  salaryMax: { type: 'number' },
+  currency: { type: 'string', max: 3 }
+};
+
+const applicationRules = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  email: { type: 'email', required: true, max: 200 },
+  phone: { type: 'string', max: 30 },
+  coverLetter: { type: 'string', max: 10000 }
+};
+
+const adminUserRules = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  email: { type: 'email', required: true, max: 200 },
+  password: { type: 'string', required: true, min: 8, max: 200 },
+  role: { type: 'string', enum: ADMIN_ROLES },
+  isActive: { type: 'boolean' }
+};
+
+const contactRules = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  email: { type: 'email', required: true, max: 200 },
+  message: { type: 'string', required: true, min: 1, max: 5000 }
+};
+
+const contactListQuery = {
+  ...listQuery,
+  email: { type: 'string', max: 200 },
+  quarantined: { type: 'string', enum: ['true', 'false', 'all'] },
+  status: { type: 'list' },
+  assignee: { type: 'string' },
+  tag: { type: 'list' }
+};
+
+const contactUpdateRules = {
+  status: { type: 'string', enum: CONTACT_STATUSES },
+  assignee: { type: 'objectId' },
+  tags: { type: 'list', max: 20, items: { type: 'string', max: 50 } }
+};
+
+const commentRules = {
+  name: { type: 'string', required: true, min: 1, max: 100 },
+  email: { type: 'email', required: true, max: 200 },
+  text: { type: 'string', required: true, min: 1, max: 5000 },
+  // Comment being replied to
+  parentId: { type: 'objectId' }
+};
+
+const newsletterTopicsRule = {
+  type: 'object',
+  fields: {
+    blog: { type: 'boolean' },
+    tags: { type: 'list', max: 50, items: { type: 'string', max: 50 } },
+    jobs: { type: 'boolean' },
+    jobTypes: { type: 'list', items: { type: 'string', enum: JOB_TYPES } },
+    jobLocations: { type: 'list', max: 20, items: { type: 'string', max: 100 } }
+  }
+};
+const subscriberLinkQuery = {
+  subscriber: { type: 'objectId', required: true },
+  signature: { type: 'string', required: true, max: 128 }
+};
+
+const contactReplyRules = {
+  subject: { type: 'string', max: 200 },
+  message: { type: 'string', required: true, min: 1, max: 10000 }
+};
+
+const webhookRules = {
+  url: { type: 'url', required: true, max: 2000 },
+  description: { type: 'string', max: 500 },
+  events: { type: 'list', required: true, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+  isActive: { type: 'boolean' }
+};
+
+const chatMessageRules = {
+  conversationId: { type: 'objectId', required: true },
+  text: { type: 'string', required: true, min: 1, max: 2000 }
+};
+
+const revisionParams = { ...idParams, version: { type: 'integer', required: true, min: 1 } };
+const revisionDiffQuery = {
+  from: { type: 'integer', required: true, min: 1 },
+  to: { type: 'integer', min: 1 }
+};
+
+const analyticsQuery = {
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  interval: { type: 'string' }
+};
+
+/**
+ * Send the right response for an error thrown in a route handler.
+ * Bad input (validation, cast and duplicate key errors) gets a 4xx with
+ * details, anything unexpected is logged and gets a generic 500.
+ *
+ * @param {Object} res - Express response
+ * @param {Error} error - Caught error
+ * @param {String} logMessage - Prefix for the log line, e.g. 'Error creating blog post'
+ */
+const handleRouteError = (res, error, logMessage = 'Error') => {
+  if (error.name === 'ValidationError' && error.errors) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(fieldError => ({
+        location: 'body',
+        field: fieldError.path,
+        message: fieldError.message
+      }))
+    });
+  }
+  if (error.name === 'CastError') {
+    // A malformed ID can never match a document
+    if (error.kind === 'ObjectId' && error.path === '_id') {
+      return res.status(404).json({ message: 'Not found' });
+    }
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: [{ field: error.path, message: `${error.path} has an invalid value` }]
+    });
+  }
+  if (error.name === 'DocumentNotFoundError') {
+    return res.status(404).json({ message: 'Not found' });
+  }
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyValue || error.keyPattern || {})[0];
+    return res.status(409).json({ message: field ? `${field} already exists` : 'Duplicate value' });
+  }
+  if (error.status && error.status < 500) {
+    return res.status(error.status).json({ message: error.message });
+  }
+
+  console.error(`${logMessage}:`, error);
+  res.status(500).json({ message: 'An error occurred' });
+};
+
+// JWT configuration
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+if (!JWT_SECRET) {
+  console.log('⚠️ JWT_SECRET is not set, admin login will be unavailable');
+} else if (!process.env.JWT_REFRESH_SECRET) {
+  console.log('⚠️ JWT_REFRESH_SECRET is not set, refresh tokens will be signed with JWT_SECRET');
+}
+
+// Issue a short-lived access token and a longer-lived refresh token for a user.
+// The type claim keeps one from being accepted in place of the other, even when both share a secret.
+const generateTokens = (user) => {
+  const accessToken = jwt.sign(
+    { sub: user._id.toString(), role: user.role, version: user.tokenVersion, type: 'access' },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+  const refreshToken = jwt.sign(
+    { sub: user._id.toString(), version: user.tokenVersion, type: 'refresh' },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRES_IN }
+  );
+  return { accessToken, refreshToken };
+};
+
+// Resolve an access token to an active AdminUser, or null if it is invalid or revoked by logout
+const getUserFromToken = async (token) => {
+  if (!token || !JWT_SECRET) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    if (payload.type !== 'access') return null;
+    const user = await AdminUser.findById(payload.sub);
+    return user && user.isActive && user.tokenVersion === payload.version ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+/**
+ * Require a valid access token in the Authorization header.
+ * Sets req.user to the authenticated AdminUser.
+ */
+const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+
+  const user = await getUserFromToken(token);
+  if (!user) {
+    return res.status(401).json({ message: 'Invalid or expired token' });
+  }
+  req.user = user;
+  next();
+};
+
+/**
+ * Like requireAuth, but lets anonymous requests through.
+ * Sets req.user when a valid token is present.
+ */
+const optionalAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (token) {
+    req.user = await getUserFromToken(token);
+  }
+  next();
+};
+
+/**
+ * Restrict a route to the given roles. 'admin' is always allowed.
+ * Must be used after requireAuth.
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (req.user.role !== 'admin' && !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Create the first admin from environment variables if no users exist yet
+const seedAdminUser = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL || !ADMIN_PASSWORD) return;
+
+  try {
+    const count = await AdminUser.countDocuments();
+    if (count === 0) {
+      await AdminUser.create({
+        name: ADMIN_NAME || 'Admin',
+        email: ADMIN_EMAIL,
+        password: ADMIN_PASSWORD,
+        role: 'admin'
+      });
+      console.log(`👤 Seeded admin user ${ADMIN_EMAIL}`);
+    }
+  } catch (error) {
+    console.error('Error seeding admin user:', error);
+  }
+};
+mongoose.connection.once('open', seedAdminUser);
+
+// Socket.IO chat namespace
+// Visitors join their conversation room, admins join the shared 'admins' room
+const chatNamespace = io.of('/chat');
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+// Check a visitor token against a conversation, returning the conversation if it matches
+const getVisitorConversation = async (conversationId, visitorToken) => {
+  if (!conversationId || !visitorToken || !mongoose.isValidObjectId(conversationId)) return null;
+  const conversation = await Conversation.findById(conversationId).select('+visitorToken');
+  if (!conversation) return null;
+
+  const expected = Buffer.from(conversation.visitorToken);
+  const given = Buffer.from(String(visitorToken));
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return conversation;
+};
+
+/**
+ * Save a chat message, update the conversation counters and push it to
+ * the visitor and to admins in real time. audit is the auditContext of
+ * whoever sent it; bot messages are recorded as system changes.
+ */
+const createChatMessage = async ({ conversation, from, text, sender, audit = SYSTEM_AUDIT }) => {
+  const message = await ChatMessage.create({
+    conversation: conversation._id,
+    from,
+    text,
+    sender
+  });
+  await recordAudit(audit, 'create', null, message);
+  await emitWebhookEvent('chat.message.created', message);
+
+  const update = {
+    $set: { lastMessage: text.slice(0, 200), lastMessageAt: message.date, status: 'open' },
+    $inc: from === 'user' ? { unreadByAdmin: 1 } : { unreadByVisitor: 1 },
+    // The visitor has an answer, so no email handoff is needed
+    ...(from === 'admin' && { $unset: { handoffDueAt: 1 } })
+  };
+  const updatedConversation = await Conversation.findByIdAndUpdate(conversation._id, update, { new: true });
+
+  chatNamespace.to(conversationRoom(conversation._id)).to('admins').emit('message:new', message);
+  chatNamespace.to('admins').emit('conversation:updated', updatedConversation);
+
+  if (from === 'user') {
+    runChatbot(updatedConversation, message).catch((error) => {
+      console.error('Chatbot error:', error);
+    });
+  }
+  return message;
+};
+
+/**
+ * Mark the other side's messages in a conversation as read and send a read receipt.
+ *
+ * @param {Object} conversation - Conversation document
+ * @param {String} reader - 'user' or 'admin'
+ */
+const markConversationRead = async (conversation, reader) => {
+  const readAt = new Date();
+  const fromOtherSide = reader === 'user' ? { $in: ['admin', 'bot'] } : 'user';
+  await ChatMessage.updateMany(
+    { conversation: conversation._id, from: fromOtherSide, readAt: null },
+    { readAt }
+  );
+  const updatedConversation = await Conversation.findByIdAndUpdate(
+    conversation._id,
+    reader === 'user' ? { unreadByVisitor: 0 } : { unreadByAdmin: 0 },
+    { new: true }
+  );
+
+  chatNamespace.to(conversationRoom(conversation._id)).to('admins').emit('message:read', {
+    conversationId: conversation._id,
+    reader,
+    readAt
+  });
+  chatNamespace.to('admins').emit('conversation:updated', updatedConversation);
+};
+
+// Chatbot configuration
+// Minutes to wait for an admin reply before the bot hands off to email
+const CHATBOT_HANDOFF_MINUTES = Number(process.env.CHATBOT_HANDOFF_MINUTES) || 5;
+const CHATBOT_HANDOFF_MESSAGE = process.env.CHATBOT_HANDOFF_MESSAGE ||
+  "Thanks for your patience! Our team isn't available right now, but we'll get back to you by email.";
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Find the highest priority active intent matching the text
+const matchBotIntent = async (text) => {
+  const intents = await BotIntent.find({ isActive: true }).sort({ priority: -1, date: 1 });
+  for (const intent of intents) {
+    if (intent.pattern) {
+      const match = new RegExp(intent.pattern, 'i').exec(text);
+      if (match) return { intent, groups: match.groups || {} };
+    }
+    const keywordMatch = intent.keywords.some((keyword) =>
+      keyword && new RegExp(`\\b${escapeRegExp(keyword.trim())}\\b`, 'i').test(text)
+    );
+    if (keywordMatch) return { intent, groups: {} };
+  }
+  return null;
+};
+
+// Build the bot reply for an intent, appending live job or product data
+const buildBotReply = async (intent, groups) => {
+  const lines = [intent.response];
+
+  if (intent.action === 'latestJobs') {
+    const jobs = await JobPosting.find(activeJobFilter()).sort({ date: -1 }).limit(intent.limit);
+    if (jobs.length) {
+      jobs.forEach((job) => {
+        lines.push(`• ${job.title} at ${job.company}${job.location ? ` (${job.location})` : ''}`);
+      });
+    } else {
+      lines.push("We don't have any open positions right now.");
+    }
+  }
+
+  if (intent.action === 'productsByCategory') {
+    const category = groups.category || intent.category;
+    const filter = category ? { category: new RegExp(`^${escapeRegExp(category.trim())}$`, 'i') } : {};
+    const products = await Product.find(filter).sort({ date: -1 }).limit(intent.limit);
+    if (products.length) {
+      products.forEach((product) => lines.push(`• ${product.name}: ${product.description}`));
+    } else {
+      lines.push(`We couldn't find any products${category ? ` in ${category}` : ''}.`);
+    }
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Auto-respond to a visitor message with the first matching intent and
+ * arm the email handoff in case no admin answers in time. The deadline runs
+ * from the first unanswered message, and a conversation is handed off once.
+ */
+const runChatbot = async (conversation, message) => {
+  const matched = await matchBotIntent(message.text);
+  if (matched) {
+    const reply = await buildBotReply(matched.intent, matched.groups);
+    await createChatMessage({ conversation, from: 'bot', text: reply });
+  }
+  await Conversation.updateOne(
+    { _id: conversation._id, handoffDueAt: null, handoffAt: null },
+    { $set: { handoffDueAt: new Date(message.date.getTime() + CHATBOT_HANDOFF_MINUTES * 60 * 1000) } }
+  );
+};
+
+// Post the email handoff in open conversations whose handoff is due. Each
+// conversation is claimed atomically so a handoff is only ever sent once.
+const runChatbotHandoffs = async (now) => {
+  let handedOff = 0;
+  for (;;) {
+    const conversation = await Conversation.findOneAndUpdate(
+      { status: 'open', handoffDueAt: { $lte: now }, handoffAt: null },
+      { $set: { handoffAt: now }, $unset: { handoffDueAt: 1 } },
+      { new: true }
+    );
+    if (!conversation) break;
+    await createChatMessage({ conversation, from: 'bot', text: CHATBOT_HANDOFF_MESSAGE });
+    handedOff += 1;
+  }
+  return handedOff;
+};
+
+// Authenticate sockets: admins send { token }, visitors send { conversationId, visitorToken }
+chatNamespace.use(async (socket, next) => {
+  try {
+    const { token, conversationId, visitorToken } = socket.handshake.auth || {};
+    const user = await getUserFromToken(token);
+    if (user) {
+      socket.data.user = user;
+      return next();
+    }
+
+    const conversation = await getVisitorConversation(conversationId, visitorToken);
+    if (conversation) {
+      socket.data.conversationId = conversation._id.toString();
+      return next();
+    }
+
+    next(new Error('Unauthorized'));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Express request view of a socket's handshake, so req.ip and getClientInfo apply
+// the same 'trust proxy' setting to sockets as to HTTP requests
+const socketRequest = (socket) => Object.assign(Object.create(app.request), {
+  headers: socket.request.headers,
+  socket: socket.request.socket
+});
+
+chatNamespace.on('connection', (socket) => {
+  const { user, conversationId } = socket.data;
+  const { ip, visitor } = getClientInfo(socketRequest(socket));
+  const audit = user ? { user, ip } : { visitor };
+  if (user) {
+    socket.join('admins');
+  } else {
+    socket.join(conversationRoom(conversationId));
+  }
+
+  // Resolve the conversation a socket is allowed to act on
+  const resolveConversation = async (id) => {
+    if (!user) {
+      return id && id !== conversationId ? null : Conversation.findById(conversationId);
+    }
+    return mongoose.isValidObjectId(id) ? Conversation.findById(id) : null;
+  };
+
+  socket.on('message:send', async ({ conversationId: id, text } = {}, ack = () => {}) => {
+    try {
+      if (!user) {
+        const limit = await consumeRateLimit('chat-ip', ip, CHAT_MESSAGE_LIMIT);
+        if (!limit.allowed) return ack({ error: 'Too many messages, please slow down' });
+        if (scoreSpam({ text }, ['text']).isSpam) return ack({ error: 'Message rejected' });
+      }
+
+      const conversation = await resolveConversation(id);
+      if (!conversation || !text || !String(text).trim()) {
+        return ack({ error: 'Invalid message' });
+      }
+      const message = await createChatMessage({
+        conversation,
+        from: user ? 'admin' : 'user',
+        text: String(text).trim(),
+        sender: user ? user._id : undefined,
+        audit
+      });
+      ack({ message });
+    } catch (error) {
+      console.error('Error sending chat message over socket:', error);
+      ack({ error: 'An error occurred' });
+    }
+  });
+
+  socket.on('typing', ({ conversationId: id, isTyping } = {}) => {
+    const targetId = user ? id : conversationId;
+    if (!targetId) return;
+    socket.to(conversationRoom(targetId)).to('admins').emit('typing', {
+      conversationId: targetId,
+      from: user ? 'admin' : 'user',
+      isTyping: Boolean(isTyping)
+    });
+  });
+
+  socket.on('read', async ({ conversationId: id } = {}) => {
+    try {
+      const conversation = await resolveConversation(id);
+      if (conversation) {
+        await markConversationRead(conversation, user ? 'admin' : 'user');
+      }
+    } catch (error) {
+      console.error('Error marking conversation read:', error);
+    }
+  });
+});
+
+// Blog content rendering
+// Markdown is rendered first, then markdown and HTML input go through the same
+// sanitizer, so stored HTML never carries scripts, event handlers or javascript: URLs.
+const READING_WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+const BLOG_SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 'ins'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    code: ['class'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan']
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  transformTags: {
+    // Links opening a new tab must not get access to window.opener
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.target ? { ...attribs, rel: 'noopener noreferrer' } : attribs
+    })
+  }
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' };
+
+// Plain text of sanitized HTML
+const htmlToText = (html) => String(html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (match, entity) => HTML_ENTITIES[entity])
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Start of the text, cut on a word boundary
+const buildExcerpt = (text) => {
+  if (text.length <= EXCERPT_LENGTH) return text;
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+/**
+ * Render blog post source into sanitized HTML with heading anchors
+ *
+ * @param {String} content - Markdown or HTML source
+ * @param {String} format - 'markdown' or 'html'
+ * @returns {Object} { html, toc, wordCount, readingTime }
+ */
+const renderBlogContent = (content, format = 'markdown') => {
+  const source = String(content || '');
+  const html = sanitizeHtml(format === 'html' ? source : marked.parse(source), BLOG_SANITIZE_OPTIONS);
+
+  // Give every heading a unique id and collect them for the table of contents
+  const toc = [];
+  const usedIds = new Set();
+  const anchored = html.replace(/<h([1-6])>([\s\S]*?)<\/h\1>/g, (match, level, inner) => {
+    const text = htmlToText(inner);
+    const base = slugify(text) || 'section';
+    let id = base;
+    for (let suffix = 2; usedIds.has(id); suffix += 1) id = `${base}-${suffix}`;
+    usedIds.add(id);
+    toc.push({ level: Number(level), text, id });
+    return `<h${level} id="${id}">${inner}</h${level}>`;
+  });
+
+  const text = htmlToText(anchored);
+  const wordCount = text ? text.split(' ').length : 0;
+  return {
+    html: anchored,
+    toc,
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / READING_WORDS_PER_MINUTE))
+  };
+};
+
+// Blog slugs
+// A slug is reserved while any post uses it, currently or as a previous slug,
+// so an old link always resolves to exactly one post.
+const SLUG_MAX_LENGTH = 80;
+
+const slugify = (text) => String(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '')
+  .slice(0, SLUG_MAX_LENGTH)
+  .replace(/-$/, '');
+
+const blogSlugFilter = (slug, postId) => ({
+  ...(postId && { _id: { $ne: postId } }),
+  $or: [{ slug }, { previousSlugs: slug }]
+});
+
+// Whether another post already uses or used the slug
+// Trashed posts keep their slugs until they are purged
+const isBlogSlugTaken = async (slug, postId) =>
+  Boolean(await BlogPost.exists(blogSlugFilter(slug, postId)).setOptions({ withDeleted: true }));
+
+// Slug derived from the title, suffixed -2, -3, ... when taken
+const uniqueBlogSlug = async (title, postId) => {
+  const base = slugify(title) || 'post';
+  const taken = await BlogPost.find(blogSlugFilter(new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`), postId))
+    .setOptions({ withDeleted: true })
+    .select('slug previousSlugs')
+    .lean();
+  const used = new Set(taken.flatMap(post => [post.slug, ...(post.previousSlugs || [])]));
+  if (!used.has(base)) return base;
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+};
+
+// Move a post to a new slug, remembering the old one for redirects
+const setBlogSlug = (post, slug) => {
+  if (post.slug === slug) return;
+  if (post.slug) post.previousSlugs.addToSet(post.slug);
+  post.previousSlugs.pull(slug);
+  post.slug = slug;
+};
+
+// Blog comments
+// Fields visitors may see; email, spam data and visitor hashes stay private
+const PUBLIC_COMMENT_FIELDS = 'post parent root depth name text date';
+
+// Recount approved comments for the given posts
+const refreshCommentCounts = async (postIds) => {
+  const ids = [...new Set(postIds.map(String))];
+  await Promise.all(ids.map(async (id) => {
+    const commentCount = await Comment.countDocuments({ post: id, status: 'approved' });
+    await BlogPost.updateOne({ _id: id }, { commentCount }, { timestamps: false });
+  }));
+};
+
+// Nest the approved replies of each top-level comment under it
+const attachCommentReplies = async (comments) => {
+  const threads = comments.map(comment => ({ ...comment.toObject(), replies: [] }));
+  if (!threads.length) return threads;
+
+  const replies = await Comment.find({ root: { $in: threads.map(comment => comment._id) }, status: 'approved' })
+    .sort({ date: 1 })
+    .select(PUBLIC_COMMENT_FIELDS)
+    .lean();
+  const byId = new Map(threads.map(comment => [String(comment._id), comment]));
+  replies.forEach(reply => byId.set(String(reply._id), { ...reply, replies: [] }));
+  // A reply whose parent is no longer approved is hidden along with it
+  replies.forEach((reply) => {
+    const parent = byId.get(String(reply.parent));
+    if (parent) parent.replies.push(byId.get(String(reply._id)));
+  });
+  return threads;
+};
+
+// Fields captured in each blog revision snapshot
+const BLOG_REVISION_FIELDS = ['title', 'content', 'contentFormat', 'excerpt', 'author', 'image', 'tags', 'published'];
+
+const REVISION_SAVE_ATTEMPTS = 5;
+
+// Store an immutable snapshot of a blog post's current state
+const saveBlogRevision = async (post, user, action, restoredFrom) => {
+  const snapshot = {};
+  BLOG_REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = post[field];
+  });
+
+  // Two saves racing for the same version hit the unique (post, version) index; the loser takes the next one
+  for (let attempt = 1; ; attempt += 1) {
+    const latest = await BlogRevision.findOne({ post: post._id }).sort({ version: -1 }).select('version');
+    try {
+      return await BlogRevision.create({
+        post: post._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        snapshot,
+        editedBy: user ? user._id : undefined,
+        editedByName: user ? user.name : undefined,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_SAVE_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Field-level diff between two revision snapshots
+const diffBlogRevisions = (from, to) => {
+  return BLOG_REVISION_FIELDS.reduce((changes, field) => {
+    const before = from.snapshot[field];
+    const after = to.snapshot[field];
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ field, from: before, to: after });
+    }
+    return changes;
+  }, []);
+};
+
+// List query helpers
+// Every list endpoint shares one contract:
+//   ?page=&limit=  or  ?cursor=&limit=   pagination (switches the response to an envelope)
+//   ?sort=field&order=asc|desc  or  ?sort=-field
+// Without page/limit/cursor the plain array is returned so existing clients keep working.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+const encodeCursor = (doc, field) => {
+  const value = getPath(doc, field);
+  return Buffer.from(JSON.stringify({
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date,
+    id: doc._id.toString()
+  })).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  try {
+    const { v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!mongoose.isValidObjectId(id)) throw new Error('Invalid cursor id');
+    return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new ListQueryError('Invalid cursor');
+  }
+};
+
+// Mongo filter for ?dateFrom=&dateTo= on the given field
+const dateRangeFilter = (query, field = 'date') => {
+  const range = {};
+  if (query.dateFrom) range.$gte = new Date(query.dateFrom);
+  if (query.dateTo) range.$lte = new Date(query.dateTo);
+  if (Object.values(range).some((date) => isNaN(date))) {
+    throw new ListQueryError('dateFrom and dateTo must be valid dates');
+  }
+  return Object.keys(range).length ? { [field]: range } : {};
+};
+
+// Current URL with some query parameters replaced, for next/prev links
+const buildListLink = (req, params) => {
+  const query = new URLSearchParams(req.query);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value === undefined) query.delete(key);
+    else query.set(key, value);
+  });
+  return `${req.baseUrl}${req.path}?${query.toString()}`;
+};
+
+/**
+ * Run a list query using the shared pagination and sorting contract and send the response.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} Model - Mongoose model to query
+ * @param {Object} options - filter, sortable fields, defaultSort ('-date'), select, and
+ *   transform, an optional async function applied to the page of results before sending
+ */
+const sendList = async (req, res, Model, { filter = {}, sortable = ['date'], defaultSort = '-date', select, transform } = {}) => {
+  const { page, limit, cursor, order } = req.query;
+  const paginated = page !== undefined || limit !== undefined || cursor !== undefined;
+
+  // Text searches sort by relevance unless a sort is requested
+  const textScore = filter.$text && !req.query.sort;
+  let sortField = req.query.sort || defaultSort;
+  let direction = sortField.startsWith('-') ? -1 : 1;
+  sortField = sortField.replace(/^-/, '');
+  if (order) direction = order === 'asc' ? 1 : -1;
+  if (!textScore && !sortable.includes(sortField)) {
+    throw new ListQueryError(`Cannot sort by ${sortField}. Sortable fields: ${sortable.join(', ')}`);
+  }
+
+  const sort = textScore
+    ? { score: { $meta: 'textScore' } }
+    : { [sortField]: direction, _id: direction };
+  const projection = textScore ? { score: { $meta: 'textScore' } } : undefined;
+
+  if (!paginated) {
+    const query = Model.find(filter, projection).sort(sort);
+    if (select) query.select(select);
+    const items = await query;
+    res.set('X-Total-Count', String(items.length));
+    return res.status(200).json(transform ? await transform(items) : items);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let query;
+  let pageNumber;
+
+  if (cursor !== undefined) {
+    if (textScore) {
+      throw new ListQueryError('Cursor pagination is not supported with relevance sorting, use page instead');
+    }
+    // An empty cursor starts from the first page
+    let cursorFilter = {};
+    if (cursor) {
+      const { value, id } = decodeCursor(cursor);
+      const operator = direction === -1 ? '$lt' : '$gt';
+      cursorFilter = {
+        $or: [
+          { [sortField]: { [operator]: value } },
+          { [sortField]: value, _id: { [operator]: id } }
+        ]
+      };
+    }
+    query = Model.find({ $and: [filter, cursorFilter] }, projection).sort(sort).limit(pageSize + 1);
+  } else {
+    pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    query = Model.find(filter, projection).sort(sort).skip((pageNumber - 1) * pageSize).limit(pageSize + 1);
+  }
+  if (select) query.select(select);
+
+  const [results, total] = await Promise.all([query, Model.countDocuments(filter)]);
+  const hasMore = results.length > pageSize;
+  const data = results.slice(0, pageSize);
+
+  const pagination = { total, limit: pageSize, hasMore };
+  if (pageNumber) {
+    pagination.page = pageNumber;
+    pagination.pages = Math.ceil(total / pageSize);
+    pagination.next = hasMore ? buildListLink(req, { page: pageNumber + 1 }) : null;
+    pagination.prev = pageNumber > 1 ? buildListLink(req, { page: pageNumber - 1 }) : null;
+  } else {
+    pagination.nextCursor = hasMore ? encodeCursor(data[data.length - 1], sortField) : null;
+    pagination.next = hasMore ? buildListLink(req, { cursor: pagination.nextCursor }) : null;
+  }
+
+  res.set('X-Total-Count', String(total));
+  res.status(200).json({ data: transform ? await transform(data) : data, pagination });
+};
+
+// Split a comma-separated query value into a list
+const splitQueryList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Array fields sent either as an array or as a comma-separated string
+const toList = (value) => (Array.isArray(value) ? value : splitQueryList(value || ''));
+
+// Case-insensitive contains match for free-text filters
+const containsFilter = (value) => new RegExp(escapeRegExp(String(value).trim()), 'i');
+
+// Filters shared by the public and admin blog listings
+const blogListFilter = (query) => ({
+  ...(query.q && { $text: { $search: query.q } }),
+  ...(query.tag && { tags: { $in: splitQueryList(query.tag) } }),
+  ...(query.author && { author: containsFilter(query.author) }),
+  ...dateRangeFilter(query)
+});
+const BLOG_SORT_FIELDS = ['date', 'title', 'publishAt'];
+
+// Filters shared by the public and admin job listings
+const jobListFilter = (query) => {
+  const filter = {
+    ...(query.q && { $text: { $search: query.q } }),
+    ...(query.type && { type: { $in: splitQueryList(query.type) } }),
+    ...(query.location && { location: containsFilter(query.location) }),
+    ...(query.company && { company: containsFilter(query.company) }),
+    ...dateRangeFilter(query)
+  };
+  // Jobs whose salary range overlaps the requested range
+  if (query.salaryMin !== undefined) {
+    if (isNaN(Number(query.salaryMin))) throw new ListQueryError('salaryMin must be a number');
+    filter['salary.max'] = { $gte: Number(query.salaryMin) };
+  }
+  if (query.salaryMax !== undefined) {
+    if (isNaN(Number(query.salaryMax))) throw new ListQueryError('salaryMax must be a number');
+    filter['salary.min'] = { $lte: Number(query.salaryMax) };
+  }
+  if (query.currency) filter['salary.currency'] = String(query.currency).toUpperCase();
+  return filter;
+};
+const JOB_SORT_FIELDS = ['date', 'title', 'company', 'location', 'salary.min', 'salary.max', 'applicationDeadline', 'views.count'];
+
+// Job analytics helpers
+const ANALYTICS_INTERVALS = ['day', 'week'];
+const ANALYTICS_DEFAULT_DAYS = 30;
+
+// Date range for analytics, defaulting to the last 30 days
+const analyticsDateFilter = (query) => {
+  const range = dateRangeFilter(query);
+  if (!range.date) {
+    range.date = { $gte: new Date(Date.now() - ANALYTICS_DEFAULT_DAYS * 24 * 60 * 60 * 1000) };
+  }
+  return range;
+};
+
+// Sum events of one type inside a $group stage
+const countEventType = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+
+const conversionRate = (views, applications) => (views ? Number((applications / views).toFixed(4)) : 0);
+
+/**
+ * Aggregate job events into totals, a daily/weekly series and
+ * browser/referrer breakdowns.
+ *
+ * @param {Object} match - JobEvent filter
+ * @param {String} interval - 'day' or 'week'
+ */
+const buildJobAnalytics = async (match, interval) => {
+  const [result] = await JobEvent.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              views: countEventType('view'),
+              shares: countEventType('share'),
+              applications: countEventType('apply'),
+              visitors: { $addToSet: '$visitor' }
+            }
+          },
+          { $project: { _id: 0, views: 1, shares: 1, applications: 1, uniqueVisitors: { $size: '$visitors' } } }
+        ],
+        series: [
+          {
+            $group: {
+              _id: { $dateTrunc: { date: '$date', unit: interval, startOfWeek: 'monday' } },
+              views: countEventType('view'),
+              shares: countEventType('share'),
+              applications: countEventType('apply'),
+              visitors: { $addToSet: '$visitor' }
+            }
+          },
+          { $sort: { _id: 1 } },
+          {
+            $project: {
+              _id: 0,
+              period: '$_id',
+              views: 1,
+              shares: 1,
+              applications: 1,
+              uniqueVisitors: { $size: '$visitors' }
+            }
+          }
+        ],
+        browsers: [
+          { $match: { type: 'view' } },
+          { $group: { _id: '$browser', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $project: { _id: 0, browser: { $ifNull: ['$_id', 'Other'] }, count: 1 } }
+        ],
+        referrers: [
+          { $match: { type: 'view' } },
+          { $group: { _id: '$referrer', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 20 },
+          { $project: { _id: 0, referrer: { $ifNull: ['$_id', 'direct'] }, count: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = result.totals[0] || { views: 0, shares: 0, applications: 0, uniqueVisitors: 0 };
+  totals.conversionRate = conversionRate(totals.views, totals.applications);
+  return {
+    interval,
+    totals,
+    series: result.series.map((point) => ({
+      ...point,
+      conversionRate: conversionRate(point.views, point.applications)
+    })),
+    browsers: result.browsers,
+    referrers: result.referrers
+  };
+};
+
+/**
+ * Per-job or per-company totals with view-to-apply conversion.
+ *
+ * @param {Object} match - JobEvent filter
+ * @param {String} groupBy - 'job' or 'company'
+ */
+const summarizeJobEvents = (match, groupBy) => JobEvent.aggregate([
+  { $match: match },
+  {
+    $group: {
+      _id: `$${groupBy}`,
+      views: countEventType('view'),
+      shares: countEventType('share'),
+      applications: countEventType('apply'),
+      visitors: { $addToSet: '$visitor' }
+    }
+  },
+  {
+    $project: {
+      _id: 0,
+      [groupBy]: '$_id',
+      views: 1,
+      shares: 1,
+      applications: 1,
+      uniqueVisitors: { $size: '$visitors' },
+      conversionRate: {
+        $cond: [{ $gt: ['$views', 0] }, { $round: [{ $divide: ['$applications', '$views'] }, 4] }, 0]
+      }
+    }
+  },
+  { $sort: { views: -1 } }
+]);
+
+// Search helpers
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Words from a search query, ignoring negated terms and quotes
+const getSearchTerms = (q) => String(q)
+  .split(/\s+/)
+  .filter((term) => term && !term.startsWith('-'))
+  .map((term) => term.replace(/["']/g, ''))
+  .filter((term) => term.length > 1);
+
+// Match word prefixes so stemmed matches ('design' for 'designer') are still highlighted
+const searchTermPattern = (terms) => new RegExp(`\\b(?:${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+
+// First of the texts that contains a search term, falling back to the last non-empty one
+const pickSnippetSource = (terms, ...texts) => {
+  const candidates = texts.filter(Boolean);
+  if (!terms.length) return candidates[candidates.length - 1] || '';
+  return candidates.find(text => String(text).search(searchTermPattern(terms)) !== -1)
+    || candidates[candidates.length - 1] || '';
+};
+
+/**
+ * Build an HTML-escaped excerpt around the first matching term,
+ * with matches wrapped in <mark>.
+ */
+const buildSnippet = (text, terms, radius = 80) => {
+  const source = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!source) return '';
+  if (!terms.length) return escapeHtml(source.slice(0, radius * 2));
+
+  const pattern = searchTermPattern(terms);
+  const first = source.search(pattern);
+  const start = first > radius ? first - radius : 0;
+  const excerpt = source.slice(start, start + radius * 2);
+
+  let highlighted = '';
+  let last = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    highlighted += `${escapeHtml(excerpt.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  highlighted += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${highlighted}${start + excerpt.length < source.length ? '…' : ''}`;
+};
+
+// Feeds and sitemap
+// Links point at the public site (SITE_URL), not at this API.
+const SITE_URL = (process.env.SITE_URL || process.env.SERVER_URL || '').replace(/\/$/, '');
+if (!SITE_URL) {
+  console.log('⚠️ SITE_URL is not set, feeds will use relative links and the sitemap will be unavailable');
+}
+const SITE_NAME = process.env.SITE_NAME || 'PrimePro';
+const FEED_ITEM_LIMIT = Number(process.env.FEED_ITEM_LIMIT) || 50;
+const FEED_CACHE_SECONDS = Number(process.env.FEED_CACHE_SECONDS) || 15 * 60;
+
+const siteUrl = {
+  home: () => `${SITE_URL}/`,
+  blog: () => `${SITE_URL}/blog`,
+  blogPost: (post) => `${SITE_URL}/blog/${post.slug}`,
+  jobs: () => `${SITE_URL}/jobs`,
+  job: (job) => `${SITE_URL}/jobs/${job._id}`,
+  products: () => `${SITE_URL}/products`,
+  product: (product) => `${SITE_URL}/products/${product._id}`
+};
+
+// Text content is escaped; HTML bodies go in CDATA
+const xmlCdata = (value) => `<![CDATA[${String(value || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+const lastModified = (doc) => doc.updatedAt || doc.date;
+
+const newestDate = (docs) => docs.reduce((newest, doc) => {
+  const date = lastModified(doc);
+  return date && (!newest || date > newest) ? date : newest;
+}, null) || new Date(0);
+
+/**
+ * Send an XML document with caching headers, answering 304 when the client's
+ * ETag or Last-Modified is still current
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} type - Content type, e.g. 'application/rss+xml'
+ * @param {String} xml - Document body
+ * @param {Date} modified - Newest change among the documented entries
+ */
+const sendXml = (req, res, type, xml, modified) => {
+  res.set({
+    'Content-Type': `${type}; charset=utf-8`,
+    'Cache-Control': `public, max-age=${FEED_CACHE_SECONDS}`,
+    ETag: `"${crypto.createHash('sha1').update(xml).digest('base64url')}"`,
+    'Last-Modified': new Date(modified).toUTCString()
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.status(200).send(xml);
+};
+
+const buildBlogRss = (posts, selfUrl) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<channel>
+<title>${escapeHtml(`${SITE_NAME} Blog`)}</title>
+<link>${escapeHtml(siteUrl.blog())}</link>
+<description>${escapeHtml(`Latest posts from ${SITE_NAME}`)}</description>
+<atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${newestDate(posts).toUTCString()}</lastBuildDate>
+${posts.map(post => `<item>
+<title>${escapeHtml(post.title)}</title>
+<link>${escapeHtml(siteUrl.blogPost(post))}</link>
+<guid isPermaLink="false">${post._id}</guid>
+<pubDate>${new Date(post.date).toUTCString()}</pubDate>
+<dc:creator>${escapeHtml(post.author)}</dc:creator>
+${(post.tags || []).map(tag => `<category>${escapeHtml(tag)}</category>`).join('\n')}
+<description>${escapeHtml(post.excerpt || '')}</description>
+<content:encoded>${xmlCdata(post.contentHtml)}</content:encoded>
+</item>`).join('\n')}
+</channel>
+</rss>
+`;
+
+const buildBlogAtom = (posts, selfUrl) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+<title>${escapeHtml(`${SITE_NAME} Blog`)}</title>
+<id>${escapeHtml(siteUrl.blog())}</id>
+<link href="${escapeHtml(siteUrl.blog())}"/>
+<link href="${escapeHtml(selfUrl)}" rel="self" type="application/atom+xml"/>
+<updated>${newestDate(posts).toISOString()}</updated>
+${posts.map(post => `<entry>
+<title>${escapeHtml(post.title)}</title>
+<id>urn:primepro:blog:${post._id}</id>
+<link href="${escapeHtml(siteUrl.blogPost(post))}"/>
+<published>${new Date(post.date).toISOString()}</published>
+<updated>${new Date(lastModified(post)).toISOString()}</updated>
+<author><name>${escapeHtml(post.author)}</name></author>
+${(post.tags || []).map(tag => `<category term="${escapeHtml(tag)}"/>`).join('\n')}
+<summary>${escapeHtml(post.excerpt || '')}</summary>
+<content type="html">${escapeHtml(post.contentHtml || '')}</content>
+</entry>`).join('\n')}
+</feed>
+`;
+
+const buildJobsRss = (jobs, selfUrl) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+<title>${escapeHtml(`${SITE_NAME} Jobs`)}</title>
+<link>${escapeHtml(siteUrl.jobs())}</link>
+<description>${escapeHtml(`Open positions from ${SITE_NAME}`)}</description>
+<atom:link href="${escapeHtml(selfUrl)}" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${newestDate(jobs).toUTCString()}</lastBuildDate>
+${jobs.map(job => `<item>
+<title>${escapeHtml(`${job.title} at ${job.company}`)}</title>
+<link>${escapeHtml(siteUrl.job(job))}</link>
+<guid isPermaLink="false">${job._id}</guid>
+<pubDate>${new Date(job.date).toUTCString()}</pubDate>
+<category>${escapeHtml(job.type)}</category>
+${job.location ? `<category>${escapeHtml(job.location)}</category>` : ''}
+<description>${escapeHtml(job.description)}</description>
+</item>`).join('\n')}
+</channel>
+</rss>
+`;
+
+const buildSitemap = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(entry => `<url>
+<loc>${escapeHtml(entry.loc)}</loc>
+${entry.lastmod ? `<lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : ''}
+</url>`).join('\n')}
+</urlset>
+`;
+
+// Absolute URL of the current request, for rel="self" links
+const requestUrl = (req) => `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+// schema.org JobPosting structured data (Google for Jobs)
+const SCHEMA_EMPLOYMENT_TYPES = {
+  'Full-time': 'FULL_TIME',
+  'Part-time': 'PART_TIME',
+  Contract: 'CONTRACTOR',
+  Internship: 'INTERN'
+};
+// Salaries are stored without a period, so one unit applies to all of them
+const JOB_SALARY_UNIT = process.env.JOB_SALARY_UNIT || 'YEAR';
+const REMOTE_LOCATION_PATTERN = /\bremote\b|\banywhere\b/i;
+
+/**
+ * Build schema.org JobPosting JSON-LD for a job and list what stops it from
+ * being valid. 'error' issues are fields Google requires, 'warning' issues are
+ * recommended fields or postings that should not be indexed.
+ *
+ * @param {Object} job - JobPosting document or lean object
+ * @returns {Object} { jsonld, valid, issues }
+ */
+const buildJobPostingJsonLd = (job) => {
+  const issues = [];
+  const issue = (severity, field, message) => issues.push({ severity, field, message });
+
+  const jsonld = {
+    '@context': 'https://schema.org',
+    '@type': 'JobPosting',
+    title: job.title,
+    description: job.description,
+    datePosted: job.date ? new Date(job.date).toISOString() : undefined,
+    url: siteUrl.job(job),
+    identifier: { '@type': 'PropertyValue', name: job.company, value: String(job._id) },
+    hiringOrganization: job.company ? { '@type': 'Organization', name: job.company } : undefined,
+    directApply: Boolean(job.acceptsApplications)
+  };
+
+  if (!job.title) issue('error', 'title', 'Title is required');
+  if (!job.description) issue('error', 'description', 'Description is required');
+  if (!job.company) issue('error', 'company', 'Company is required for hiringOrganization');
+  if (!job.date) issue('error', 'date', 'Posting date is required for datePosted');
+
+  if (!job.location) {
+    issue('error', 'location', 'Location is required for jobLocation, or mark the job as remote');
+  } else if (REMOTE_LOCATION_PATTERN.test(job.location)) {
+    jsonld.jobLocationType = 'TELECOMMUTE';
+    issue('warning', 'location', 'Remote jobs should name the countries applicants may work from');
+  } else {
+    jsonld.jobLocation = {
+      '@type': 'Place',
+      address: { '@type': 'PostalAddress', addressLocality: job.location }
+    };
+  }
+
+  if (SCHEMA_EMPLOYMENT_TYPES[job.type]) {
+    jsonld.employmentType = SCHEMA_EMPLOYMENT_TYPES[job.type];
+  } else {
+    issue('warning', 'type', 'Employment type is missing or has no schema.org equivalent');
+  }
+
+  const salary = job.salary || {};
+  const hasMin = salary.min !== undefined && salary.min !== null;
+  const hasMax = salary.max !== undefined && salary.max !== null;
+  if (hasMin || hasMax) {
+    jsonld.baseSalary = {
+      '@type': 'MonetaryAmount',
+      currency: salary.currency || 'USD',
+      value: {
+        '@type': 'QuantitativeValue',
+        ...(hasMin && { minValue: salary.min }),
+        ...(hasMax && { maxValue: salary.max }),
+        unitText: JOB_SALARY_UNIT
+      }
+    };
+  } else {
+    issue('warning', 'salary', 'A salary range is recommended');
+  }
+
+  if (job.applicationDeadline) {
+    jsonld.validThrough = new Date(job.applicationDeadline).toISOString();
+    if (new Date(job.applicationDeadline) <= new Date()) {
+      issue('warning', 'applicationDeadline', 'The application deadline has passed');
+    }
+  } else {
+    issue('warning', 'applicationDeadline', 'An application deadline is recommended for validThrough');
+  }
+  if (job.isActive === false) {
+    issue('warning', 'isActive', 'Inactive jobs are not published');
+  }
+
+  return {
+    jsonld: JSON.parse(JSON.stringify(jsonld)),
+    valid: !issues.some(item => item.severity === 'error'),
+    issues
+  };
+};
+
+// Nodemailer transporter
+// EMAIL_TRANSPORT picks 'smtp' (Gmail, default), 'json' (logged to the console)
+// or 'file' (written as JSON to EMAIL_FILE_DIR) for development and tests.
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || 'smtp';
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || path.join(__dirname, 'tmp', 'emails');
+
+const createMailTransport = () => {
+  if (EMAIL_TRANSPORT === 'json') {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (mail) => {
+        const info = await jsonTransport.sendMail(mail);
+        console.log('📧 Email (json transport):', info.message);
+        return info;
+      }
+    };
+  }
+
+  if (EMAIL_TRANSPORT === 'file') {
+    const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      sendMail: async (mail) => {
+        const info = await jsonTransport.sendMail(mail);
+        const filename = `${Date.now()}-${String(info.messageId).replace(/[^a-z0-9]/gi, '')}.json`;
+        await fs.promises.mkdir(EMAIL_FILE_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(EMAIL_FILE_DIR, filename), info.message);
+        return info;
+      }
+    };
+  }
+
+  return nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASS
+    }
+  });
+};
+const transporter = createMailTransport();
+
+// Always send from our own address; visitors go in replyTo so we never spoof them
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+
+// Email templates - {{variable}} placeholders, HTML-escaped in the html part
+const EMAIL_TEMPLATES = {
+  contactNotification: {
+    subject: 'New Contact Form Submission',
+    text: 'Name: {{name}}\nEmail: {{email}}\nMessage: {{message}}',
+    html: '<p><strong>Name:</strong> {{name}}<br><strong>Email:</strong> {{email}}</p><p>{{message}}</p>'
+  },
+  contactReply: {
+    subject: '{{subject}}',
+    text: '{{message}}\n\n---\nOn {{date}}, {{name}} wrote:\n{{originalMessage}}',
+    html: '<p>{{message}}</p><hr><p>On {{date}}, {{name}} wrote:</p><blockquote>{{originalMessage}}</blockquote>'
+  },
+  applicationConfirmation: {
+    subject: 'Application received: {{jobTitle}} at {{company}}',
+    text: 'Hi {{name}},\n\nThanks for applying for {{jobTitle}} at {{company}}. ' +
+      "We've received your application and will be in touch about next steps.\n\nBest regards",
+    html: '<p>Hi {{name}},</p><p>Thanks for applying for <strong>{{jobTitle}}</strong> at {{company}}. ' +
+      "We've received your application and will be in touch about next steps.</p><p>Best regards</p>"
+  },
+  newsletterConfirmation: {
+    subject: 'Confirm your subscription',
+    text: 'Hi {{name}},\n\nPlease confirm that you want our weekly digest by opening this link:\n{{confirmUrl}}\n\n' +
+      "If you didn't sign up, you can ignore this email.",
+    html: '<p>Hi {{name}},</p><p>Please confirm that you want our weekly digest:</p>' +
+      '<p><a href="{{confirmUrl}}">Confirm subscription</a></p>' +
+      "<p>If you didn't sign up, you can ignore this email.</p>"
+  },
+  newsletterDigest: {
+    subject: 'Your weekly digest: {{summary}}',
+    text: 'Hi {{name}},\n\n{{digestText}}\n\n---\nChoose topics: {{preferencesUrl}}\nUnsubscribe: {{unsubscribeUrl}}',
+    html: '<p>Hi {{name}},</p>{{{digestHtml}}}<hr>' +
+      '<p><a href="{{preferencesUrl}}">Choose topics</a> · <a href="{{unsubscribeUrl}}">Unsubscribe</a></p>'
+  }
+};
+
+// {{{variable}}} inserts the value unescaped, for markup the caller built with escapeHtml
+const renderTemplateString = (template, variables, html) => template.replace(/{{(?:{\s*(\w+)\s*}|\s*(\w+)\s*)}}/g, (match, rawKey, key) => {
+  const name = rawKey || key;
+  const value = variables[name] === undefined || variables[name] === null ? '' : String(variables[name]);
+  if (rawKey) return value;
+  return html ? escapeHtml(value).replace(/\n/g, '<br>') : value;
+});
+
+/**
+ * Render a named email template.
+ *
+ * @param {String} name - Key of EMAIL_TEMPLATES
+ * @param {Object} variables - Values for the {{placeholders}}
+ * @returns {Object} subject, text and html
+ */
+const renderEmailTemplate = (name, variables = {}) => {
+  const template = EMAIL_TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+  return {
+    subject: renderTemplateString(template.subject, variables, false),
+    text: renderTemplateString(template.text, variables, false),
+    html: renderTemplateString(template.html, variables, true)
+  };
+};
+
+// Email worker settings
+const EMAIL_WORKER_INTERVAL = (Number(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 10) * 1000;
+const EMAIL_RETRY_BASE_SECONDS = Number(process.env.EMAIL_RETRY_BASE_SECONDS) || 30;
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+// A 'sending' email whose worker died is picked up again after this long
+const EMAIL_LOCK_TIMEOUT = 5 * 60 * 1000;
+
+/**
+ * Queue an email for the background worker.
+ * The template is rendered now, so a broken template fails the caller rather than the worker.
+ *
+ * @param {Object} options - template, to, replyTo, headers, variables
+ * @returns {Object} OutboxEmail document
+ */
+const queueEmail = async ({ template, to, replyTo, headers, variables = {} }) => {
+  const { subject } = renderEmailTemplate(template, variables);
+  const email = await OutboxEmail.create({
+    template,
+    variables,
+    to,
+    replyTo,
+    headers,
+    subject,
+    maxAttempts: EMAIL_MAX_ATTEMPTS
+  });
+  setImmediate(processOutbox);
+  return email;
+};
+
+// Send one claimed email, scheduling a retry with exponential backoff or dead-lettering it
+const deliverOutboxEmail = async (email) => {
+  try {
+    const content = renderEmailTemplate(email.template, email.variables);
+    const info = await transporter.sendMail({
+      from: EMAIL_FROM,
+      to: email.to,
+      replyTo: email.replyTo,
+      headers: email.headers,
+      ...content
+    });
+    email.status = 'sent';
+    email.sentAt = new Date();
+    email.messageId = info && info.messageId;
+    email.lastError = undefined;
+  } catch (error) {
+    email.attempts += 1;
+    email.lastError = error.message;
+    if (email.attempts >= email.maxAttempts) {
+      email.status = 'dead';
+      console.error(`📭 Email ${email._id} to ${email.to} dead-lettered after ${email.attempts} attempts:`, error.message);
+    } else {
+      email.status = 'pending';
+      email.nextAttemptAt = new Date(Date.now() + EMAIL_RETRY_BASE_SECONDS * 1000 * 2 ** (email.attempts - 1));
+    }
+  }
+  email.lockedAt = undefined;
+  await email.save();
+};
+
+let outboxRunning = false;
+const processOutbox = async () => {
+  if (outboxRunning || mongoose.connection.readyState !== 1) return;
+  outboxRunning = true;
+  try {
+    for (let i = 0; i < 20; i += 1) {
+      const now = new Date();
+      const email = await OutboxEmail.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - EMAIL_LOCK_TIMEOUT) } }
+          ]
+        },
+        { $set: { status: 'sending', lockedAt: now } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!email) break;
+      await deliverOutboxEmail(email);
+    }
+  } catch (error) {
+    console.error('Email worker error:', error);
+  } finally {
+    outboxRunning = false;
+  }
+};
+
+mongoose.connection.once('open', () => {
+  processOutbox();
+  setInterval(processOutbox, EMAIL_WORKER_INTERVAL);
+});
+
+// Webhooks
+// Every event is queued as one WebhookDelivery per subscribed endpoint and sent by a
+// worker like the email outbox. Requests are JSON POSTs signed with the endpoint's
+// secret: X-Webhook-Signature is sha256=HMAC-SHA256(secret, `${timestamp}.${body}`),
+// where timestamp is the X-Webhook-Timestamp header, so receivers can reject replays.
+const WEBHOOK_WORKER_INTERVAL = (Number(process.env.WEBHOOK_WORKER_INTERVAL_SECONDS) || 15) * 1000;
+const WEBHOOK_RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_TIMEOUT = (Number(process.env.WEBHOOK_TIMEOUT_SECONDS) || 10) * 1000;
+// A 'sending' delivery whose worker died is picked up again after this long
+const WEBHOOK_LOCK_TIMEOUT = 5 * 60 * 1000;
+// Response bodies are kept in the attempt log up to this many characters
+const WEBHOOK_RESPONSE_LOG_LENGTH = 1000;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signWebhookPayload = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// Plain JSON for a payload, so documents are sent the same way the API returns them
+const toWebhookData = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Queue an event for every active webhook subscribed to it.
+ * Never throws, a failure to queue is logged and the caller carries on.
+ *
+ * @param {String} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Document or plain object sent as the payload's data
+ */
+const emitWebhookEvent = async (event, data) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event }).select('url');
+    if (!webhooks.length) return;
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event, createdAt: new Date(), data: toWebhookData(data) };
+    await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      event,
+      eventId,
+      url: webhook.url,
+      payload,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS
+    })));
+    setImmediate(processWebhookDeliveries);
+  } catch (error) {
+    console.error(`Error queueing webhook event ${event}:`, error);
+  }
+};
+
+// Send one claimed delivery, scheduling a retry with exponential backoff or dead-lettering it
+const deliverWebhook = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  const attempt = { date: new Date() };
+  const started = Date.now();
+
+  try {
+    if (!webhook) throw new Error('Webhook no longer exists');
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': `${SITE_NAME}-Webhooks`,
+        'X-Webhook-Id': String(delivery._id),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signWebhookPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      // A redirect counts as a failure rather than sending the payload somewhere else
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+    });
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text()).slice(0, WEBHOOK_RESPONSE_LOG_LENGTH);
+    if (!response.ok) throw new Error(`Endpoint responded with HTTP ${response.status}`);
+
+    delivery.status = 'delivered';
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+  } catch (error) {
+    // fetch reports network problems as 'fetch failed' with the reason in cause
+    attempt.error = error.cause ? `${error.message}: ${error.cause.message}` : error.message;
+    delivery.lastError = attempt.error;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  delivery.attempts += 1;
+  delivery.attemptLog.push(attempt);
+  if (delivery.status !== 'delivered') {
+    if (!webhook || delivery.attempts >= delivery.maxAttempts) {
+      delivery.status = 'dead';
+      console.error(`🪝 Webhook delivery ${delivery._id} (${delivery.event}) to ${delivery.url} dead-lettered after ${delivery.attempts} attempts:`, delivery.lastError);
+    } else {
+      delivery.status = 'pending';
+      delivery.nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_SECONDS * 1000 * 2 ** (delivery.attempts - 1));
+    }
+  }
+  delivery.lockedAt = undefined;
+  await delivery.save();
+  if (webhook) {
+    await Webhook.updateOne({ _id: webhook._id }, { lastDeliveryAt: attempt.date });
+  }
+};
+
+let webhookWorkerRunning = false;
+const processWebhookDeliveries = async () => {
+  if (webhookWorkerRunning || mongoose.connection.readyState !== 1) return;
+  webhookWorkerRunning = true;
+  try {
+    for (let i = 0; i < 20; i += 1) {
+      const now = new Date();
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - WEBHOOK_LOCK_TIMEOUT) } }
+          ]
+        },
+        { $set: { status: 'sending', lockedAt: now } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!delivery) break;
+      await deliverWebhook(delivery);
+    }
+  } catch (error) {
+    console.error('Webhook worker error:', error);
+  } finally {
+    webhookWorkerRunning = false;
+  }
+};
+
+mongoose.connection.once('open', () => {
+  processWebhookDeliveries();
+  setInterval(processWebhookDeliveries, WEBHOOK_WORKER_INTERVAL);
+});
+
+// Newsletter
+// Links in emails go to this API (SERVER_URL); unsubscribe links are signed so
+// they work without a login and can't be forged for other subscribers.
+const API_URL = (process.env.SERVER_URL || '').replace(/\/$/, '');
+const NEWSLETTER_SECRET = process.env.NEWSLETTER_SECRET || process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.NEWSLETTER_SECRET && !process.env.JWT_SECRET) {
+  console.log('⚠️ NEWSLETTER_SECRET is not set, unsubscribe links will stop working on restart');
+}
+const NEWSLETTER_CONFIRM_HOURS = Number(process.env.NEWSLETTER_CONFIRM_HOURS) || 48;
+const DIGEST_INTERVAL_DAYS = Number(process.env.DIGEST_INTERVAL_DAYS) || 7;
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+// A digest that couldn't be queued is tried again after this long
+const DIGEST_RETRY_DELAY = 60 * 60 * 1000;
+const DIGEST_ITEM_LIMIT = 10;
+const DAY = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signSubscriber = (id) => crypto.createHmac('sha256', NEWSLETTER_SECRET).update(`subscriber:${id}`).digest('hex');
+
+const verifySubscriberSignature = (id, signature) => {
+  if (!id || typeof signature !== 'string') return false;
+  const expected = Buffer.from(signSubscriber(id));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+const subscriberLinkParams = (subscriber) => `subscriber=${subscriber._id}&signature=${signSubscriber(subscriber._id)}`;
+const unsubscribeUrl = (subscriber) => `${API_URL}/api/newsletter/unsubscribe?${subscriberLinkParams(subscriber)}`;
+// Frontend page that reads and saves topics through /api/newsletter/preferences
+const preferencesUrl = (subscriber) => `${SITE_URL}/newsletter/preferences?${subscriberLinkParams(subscriber)}`;
+
+// Topics from a request body, normalised to the schema's shape
+const parseTopics = (topics = {}) => {
+  const list = (value) => (value === undefined ? [] : (Array.isArray(value) ? value : splitQueryList(value)));
+  return {
+    blog: topics.blog === undefined ? true : topics.blog === true || topics.blog === 'true',
+    tags: list(topics.tags),
+    jobs: topics.jobs === undefined ? true : topics.jobs === true || topics.jobs === 'true',
+    jobTypes: list(topics.jobTypes),
+    jobLocations: list(topics.jobLocations)
+  };
+};
+
+// Small HTML page for links opened from an email
+const sendNewsletterPage = (res, status, title, message) => {
+  res.status(status).type('html').send(
+    `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title></head>` +
+    `<body><h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p></body></html>`
+  );
+};
+
+/**
+ * Posts and jobs published since the subscriber's last digest that match their topics
+ *
+ * @param {Object} subscriber - Subscriber document
+ * @param {Date} since - Start of the digest period
+ * @returns {Object} { posts, jobs }
+ */
+const findDigestContent = async (subscriber, since) => {
+  const { topics } = subscriber;
+  const [posts, jobs] = await Promise.all([
+    topics.blog
+      ? BlogPost.find({
+        $and: [
+          publishedBlogFilter(),
+          { publishedAt: { $gt: since } },
+          topics.tags.length ? { tags: { $in: topics.tags } } : {}
+        ]
+      }).sort({ publishedAt: -1 }).limit(DIGEST_ITEM_LIMIT).select('title slug excerpt').lean()
+      : [],
+    topics.jobs
+      ? JobPosting.find({
+        $and: [
+          activeJobFilter(),
+          { date: { $gt: since } },
+          topics.jobTypes.length ? { type: { $in: topics.jobTypes } } : {},
+          topics.jobLocations.length ? { $or: topics.jobLocations.map(location => ({ location: containsFilter(location) })) } : {}
+        ]
+      }).sort({ date: -1 }).limit(DIGEST_ITEM_LIMIT).select('title company location type').lean()
+      : []
+  ]);
+  return { posts, jobs };
+};
+
+// Text and HTML bodies for a digest
+const buildDigestBody = ({ posts, jobs }) => {
+  const text = [];
+  let html = '';
+  if (posts.length) {
+    text.push('New on the blog:', ...posts.map(post => `- ${post.title}\n  ${siteUrl.blogPost(post)}`));
+    html += '<h2>New on the blog</h2><ul>' + posts.map(post =>
+      `<li><a href="${escapeHtml(siteUrl.blogPost(post))}">${escapeHtml(post.title)}</a>` +
+      `${post.excerpt ? `<br>${escapeHtml(post.excerpt)}` : ''}</li>`
+    ).join('') + '</ul>';
+  }
+  if (jobs.length) {
+    if (text.length) text.push('');
+    text.push('New jobs:', ...jobs.map(job => `- ${job.title} at ${job.company}${job.location ? ` (${job.location})` : ''}\n  ${siteUrl.job(job)}`));
+    html += '<h2>New jobs</h2><ul>' + jobs.map(job =>
+      `<li><a href="${escapeHtml(siteUrl.job(job))}">${escapeHtml(job.title)}</a> at ${escapeHtml(job.company)}` +
+      `${job.location ? ` (${escapeHtml(job.location)})` : ''}</li>`
+    ).join('') + '</ul>';
+  }
+  return { text: text.join('\n'), html };
+};
+
+// Queue one subscriber's digest, or nothing when there's nothing new since the last one
+const queueNewsletterDigest = async (subscriber, now) => {
+  const since = subscriber.lastDigestAt || subscriber.confirmedAt || new Date(now.getTime() - DIGEST_INTERVAL_DAYS * DAY);
+  const content = await findDigestContent(subscriber, since);
+  if (!content.posts.length && !content.jobs.length) return false;
+
+  const body = buildDigestBody(content);
+  const summary = [
+    content.posts.length && `${content.posts.length} new post${content.posts.length === 1 ? '' : 's'}`,
+    content.jobs.length && `${content.jobs.length} new job${content.jobs.length === 1 ? '' : 's'}`
+  ].filter(Boolean).join(', ');
+  const link = unsubscribeUrl(subscriber);
+
+  await queueEmail({
+    template: 'newsletterDigest',
+    to: subscriber.email,
+    headers: {
+      'List-Unsubscribe': `<${link}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    },
+    variables: {
+      name: subscriber.name || 'there',
+      summary,
+      digestText: body.text,
+      digestHtml: body.html,
+      preferencesUrl: preferencesUrl(subscriber),
+      unsubscribeUrl: link
+    }
+  });
+  return true;
+};
+
+/**
+ * Queue the digest for every active subscriber who is due. Each subscriber is
+ * claimed by moving nextDigestAt forward by DIGEST_RETRY_DELAY first, so a digest
+ * goes out once even with several server instances. The next weekly digest is only
+ * scheduled after this one is in the outbox, so a failed one is retried rather than
+ * skipped. Periods with nothing new send no email.
+ */
+let digestRunning = false;
+const runNewsletterDigests = async () => {
+  if (digestRunning || mongoose.connection.readyState !== 1) return;
+  digestRunning = true;
+  let queued = 0;
+  try {
+    for (;;) {
+      const now = new Date();
+      const subscriber = await Subscriber.findOneAndUpdate(
+        { status: 'active', nextDigestAt: { $lte: now } },
+        { $set: { nextDigestAt: new Date(now.getTime() + DIGEST_RETRY_DELAY) } }
+      );
+      if (!subscriber) break;
+
+      try {
+        if (await queueNewsletterDigest(subscriber, now)) queued += 1;
+        await Subscriber.updateOne(
+          { _id: subscriber._id },
+          { lastDigestAt: now, nextDigestAt: new Date(now.getTime() + DIGEST_INTERVAL_DAYS * DAY) }
+        );
+      } catch (error) {
+        console.error(`Error queueing newsletter digest for subscriber ${subscriber._id}, retrying later:`, error);
+      }
+    }
+    if (queued) {
+      console.log(`📰 Queued ${queued} newsletter digests`);
+    }
+  } catch (error) {
+    console.error('Newsletter digest error:', error);
+  } finally {
+    digestRunning = false;
+  }
+};
+
+mongoose.connection.once('open', () => {
+  runNewsletterDigests();
+  setInterval(runNewsletterDigests, DIGEST_CHECK_INTERVAL);
+});
+
+/**
+ * Log in an admin user
+ *
+ * @route POST /api/auth/login
+ * @param {String} email - User email
+ * @param {String} password - User password
+ * @returns {Object} Access token, refresh token and user
+ */
+app.post('/api/auth/login', validate({ body: { email: { type: 'email', required: true }, password: { type: 'string', required: true } } }), async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!JWT_SECRET) {
+      return res.status(503).json({ message: 'Authentication is not configured' });
+    }
+
+    const user = await AdminUser.findOne({ email: email.toLowerCase().trim() }).select('+password');
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    const tokens = generateTokens(user);
+    res.status(200).json({ ...tokens, user });
+  } catch (error) {
+    handleRouteError(res, error, 'Error logging in');
+  }
+});
+
+/**
+ * Exchange a refresh token for a new token pair
+ *
+ * @route POST /api/auth/refresh
+ * @param {String} refreshToken - Refresh token from login
+ * @returns {Object} New access and refresh tokens
+ */
+app.post('/api/auth/refresh', validate({ body: { refreshToken: { type: 'string', required: true } } }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || !JWT_REFRESH_SECRET) {
+      return res.status(401).json({ message: 'Refresh token required' });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, JWT_REFRESH_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+    if (payload.type !== 'refresh') {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await AdminUser.findById(payload.sub);
+    if (!user || !user.isActive || user.tokenVersion !== payload.version) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json(generateTokens(user));
+  } catch (error) {
+    handleRouteError(res, error, 'Error refreshing token');
+  }
+});
+
+/**
+ * Log out, revoking every access and refresh token issued to the user
+ *
+ * @route POST /api/auth/logout
+ * @returns {Object} Success message
+ */
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+  try {
+    req.user.tokenVersion += 1;
+    await req.user.save();
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error logging out');
+  }
+});
+
+/**
+ * Get the currently authenticated user
+ *
+ * @route GET /api/auth/me
+ * @returns {Object} User object
+ */
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.status(200).json(req.user);
+});
+
+/**
+ * Get all admin users
+ *
+ * @route GET /api/admin/users
+ * @param {String} role - Filter by role
+ * @returns {Array|Object} Array of admin users, or a paginated envelope
+ */
+app.get('/api/admin/users', requireAuth, requireRole('admin'), validate({ query: { ...listQuery, role: { type: 'string', enum: ADMIN_ROLES } } }), async (req, res) => {
+  try {
+    await sendList(req, res, AdminUser, {
+      filter: { ...(req.query.role && { role: req.query.role }) },
+      sortable: ['date', 'name', 'email', 'lastLogin']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching users');
+  }
+});
+
+/**
+ * Create an admin user
+ *
+ * @route POST /api/admin/users
+ * @param {String} name - User name
+ * @param {String} email - User email
+ * @param {String} password - Initial password
+ * @param {String} role - 'admin', 'editor' or 'recruiter'
+ * @returns {Object} Created user
+ */
+app.post('/api/admin/users', requireAuth, requireRole('admin'), validate({ body: adminUserRules }), async (req, res) => {
+  try {
+    const { name, email, password, role } = req.body;
+    const existing = await AdminUser.findOne({ email: email.toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({ message: 'A user with this email already exists' });
+    }
+
+    const user = await AdminUser.create({ name, email, password, role });
+    res.status(201).json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'Error creating user');
+  }
+});
+
+/**
+ * Update an admin user's role, status or password
+ *
+ * @route PUT /api/admin/users/:id
+ * @param {String} id - User ID
+ * @returns {Object} Updated user
+ */
+app.put('/api/admin/users/:id', requireAuth, requireRole('admin'), validate({ params: idParams, body: optionalRules(adminUserRules) }), async (req, res) => {
+  try {
+    const { name, role, isActive, password } = req.body;
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (isActive !== undefined) user.isActive = isActive === true || isActive === 'true';
+    if (password) {
+      user.password = password;
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+    res.status(200).json(user);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating user');
+  }
+});
+
+/**
+ * Delete an admin user
+ *
+ * @route DELETE /api/admin/users/:id
+ * @param {String} id - User ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/admin/users/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot delete your own account' });
+    }
+    const user = await AdminUser.findByIdAndDelete(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.status(200).json({ message: 'User deleted successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting user');
+  }
+});
+
+// Media storage
+// STORAGE_DRIVER picks 'cloudinary' or 'local'. Without it, Cloudinary is used when
+// credentials are configured and local disk otherwise.
+// Each adapter implements upload(buffer, options) -> { url, key, width, height, size }
+// and remove(key, options).
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER ||
+  (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'uploads');
+const MEDIA_PUBLIC_URL = process.env.MEDIA_PUBLIC_URL || `${process.env.SERVER_URL || ''}/uploads`;
+
+// Files saved by the local media storage driver. Browsers must not sniff them into
+// another content type, and resumes are always downloaded rather than rendered.
+app.use('/uploads', express.static(MEDIA_DIR, {
+  maxAge: '30d',
+  setHeaders: (res, filePath) => {
+    res.set('X-Content-Type-Options', 'nosniff');
+    if (filePath.split(path.sep).includes('resumes')) res.set('Content-Disposition', 'attachment');
+  }
+}));
+
+// Stored files get the extension of their validated MIME type, never the client's
+// filename, so an upload can't be served back as HTML or script
+const MEDIA_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'application/pdf': '.pdf',
+  'application/msword': '.doc',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx'
+};
+
+const cloudinaryStorage = {
+  upload: (buffer, { folder, resourceType = 'auto' }) => new Promise((resolve, reject) => {
+    const stream = cloudinary.uploader.upload_stream(
+      { resource_type: resourceType, folder },
+      (error, result) => {
+        if (error) {
+          console.error('Cloudinary upload error:', error);
+          reject(error);
+        } else {
+          resolve({
+            url: result.secure_url,
+            key: result.public_id,
+            width: result.width,
+            height: result.height,
+            size: result.bytes
+          });
+        }
+      }
+    );
+    stream.end(buffer);
+  }),
+  remove: (key, { resourceType = 'image' } = {}) => cloudinary.uploader.destroy(key, { resource_type: resourceType })
+};
+
+const localDiskStorage = {
+  upload: async (buffer, { folder = '', mimeType }) => {
+    const extension = MEDIA_EXTENSIONS[mimeType] || '';
+    const key = path.posix.join(folder, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+    await fs.promises.mkdir(path.join(MEDIA_DIR, folder), { recursive: true });
+    await fs.promises.writeFile(path.join(MEDIA_DIR, key), buffer);
+
+    let dimensions = {};
+    try {
+      dimensions = imageSize(buffer);
+    } catch (error) {
+      // Not an image (e.g. a resume), so there are no dimensions
+    }
+    return {
+      url: `${MEDIA_PUBLIC_URL}/${key}`,
+      key,
+      width: dimensions.width,
+      height: dimensions.height,
+      size: buffer.length
+    };
+  },
+  remove: async (key) => {
+    // Keys are generated by upload, but never let one escape the media directory
+    const filePath = path.resolve(MEDIA_DIR, key);
+    if (!filePath.startsWith(path.resolve(MEDIA_DIR) + path.sep)) return;
+    await fs.promises.rm(filePath, { force: true });
+  }
+};
+
+const storageDrivers = { cloudinary: cloudinaryStorage, local: localDiskStorage };
+const mediaStorage = storageDrivers[STORAGE_DRIVER] || localDiskStorage;
+
+/**
+ * Store an uploaded image and record it in the media library.
+ *
+ * @param {Object} file - Multer file
+ * @param {Object} user - Uploading AdminUser
+ * @returns {Object} Media document
+ */
+const saveImageUpload = async (file, user) => {
+  // The MIME type is only what the client claims, so check the content is really an image
+  try {
+    imageSize(file.buffer);
+  } catch (error) {
+    throw Object.assign(new Error('Uploaded file is not a valid image'), { status: 400 });
+  }
+  const stored = await mediaStorage.upload(file.buffer, {
+    folder: 'images',
+    mimeType: file.mimetype,
+    resourceType: 'image'
+  });
+  return Media.create({
+    ...stored,
+    driver: STORAGE_DRIVER,
+    filename: file.originalname,
+    mimeType: file.mimetype,
+    uploadedBy: user ? user._id : undefined
+  });
+};
+
+/**
+ * The image for a create/update request: a new upload in req.file, or an
+ * existing library item picked with req.body.mediaId. Null when neither is sent.
+ */
+const resolveImageMedia = async (req) => {
+  if (req.file) return saveImageUpload(req.file, req.user);
+  if (req.body.mediaId) {
+    const media = mongoose.isValidObjectId(req.body.mediaId) && await Media.findById(req.body.mediaId);
+    if (!media) throw Object.assign(new Error('Media not found'), { status: 400 });
+    return media;
+  }
+  return null;
+};
+
+// Record that a post or product uses a media item
+const attachMedia = async (media, kind, id) => {
+  if (!media) return;
+  await Media.updateOne(
+    { _id: media._id, references: { $not: { $elemMatch: { kind, id } } } },
+    { $push: { references: { kind, id } } }
+  );
+};
+
+/**
+ * Drop a post or product's reference to an image URL and delete the
+ * asset once nothing references it any more. Revision snapshots don't
+ * count as references, so restoring a very old revision may point at a
+ * removed image.
+ */
+const releaseMedia = async (url, kind, id) => {
+  if (!url) return;
+  try {
+    const media = await Media.findOneAndUpdate(
+      { url },
+      { $pull: { references: { kind, id } } },
+      { new: true }
+    );
+    if (media && media.references.length === 0) {
+      await deleteMedia(media);
+    }
+  } catch (error) {
+    console.error('Error releasing media:', error);
+  }
+};
+
+// Remove a stored resume file; failures are logged so the rest of a purge still runs
+const removeResume = async (resume) => {
+  try {
+    const adapter = storageDrivers[resume.driver] || mediaStorage;
+    await adapter.remove(resume.publicId, { resourceType: 'raw' });
+  } catch (error) {
+    console.error('Error removing resume:', error);
+  }
+};
+
+// Remove a media item from storage and the library
+const deleteMedia = async (media) => {
+  const adapter = storageDrivers[media.driver] || mediaStorage;
+  await adapter.remove(media.key, { resourceType: 'image' });
+  await Media.deleteOne({ _id: media._id });
+};
+
+// CSV export
+// Cells starting with a formula character are prefixed with ' so spreadsheets show them as text
+const csvText = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = csvText(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (values) => `${values.map(csvCell).join(',')}\r\n`;
+
+// Streamed exports wait for the response buffer to drain so a slow client doesn't pile rows up in memory.
+// Rejects once the client has gone, which ends the loop and closes the cursor.
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.destroyed) return reject(new Error('Client closed the connection'));
+  if (res.write(chunk)) return resolve();
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.once('drain', done);
+  res.once('close', done);
+});
+
+// Audit log
+// Fields left out of audit diffs: bookkeeping, values derived from other fields and running counters
+const AUDIT_IGNORED_FIELDS = ['_id', '__v', 'updatedAt', 'deletedAt', 'deletedBy'];
+const AUDIT_DERIVED_FIELDS = {
+  BlogPost: ['contentHtml', 'toc', 'wordCount', 'readingTime', 'excerptGenerated', 'commentCount'],
+  JobPosting: ['views', 'shares', 'applications'],
+  ChatMessage: ['readAt']
+};
+
+// Who made a change: the signed-in admin, or the visitor for public requests
+const auditContext = (req) => {
+  const { ip, visitor } = getClientInfo(req);
+  return req.user ? { user: req.user, ip } : { visitor };
+};
+
+// Changes made by the scheduler and other background jobs
+const SYSTEM_AUDIT = {};
+
+const auditSnapshot = (doc, resource) => {
+  if (!doc) return {};
+  const snapshot = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+  [...AUDIT_IGNORED_FIELDS, ...(AUDIT_DERIVED_FIELDS[resource] || [])].forEach((field) => {
+    delete snapshot[field];
+  });
+  return snapshot;
+};
+
+// Field-level diff between two snapshots, in the same shape as diffBlogRevisions
+const diffAuditSnapshots = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields.reduce((changes, field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes.push({ field, from: before[field], to: after[field] });
+    }
+    return changes;
+  }, []);
+};
+
+/**
+ * Write an audit entry for a change to a BlogPost, JobPosting, Product, Contact or ChatMessage.
+ * Never throws, a failed audit write is logged and the change itself goes through.
+ *
+ * @param {Object} context - auditContext(req), or SYSTEM_AUDIT for background jobs
+ * @param {String} action - One of AUDIT_ACTIONS
+ * @param {Object} before - Document or plain object before the change, null for create/restore
+ * @param {Object} after - Document after the change, null for delete/purge
+ */
+const recordAudit = async (context, action, before, after) => {
+  try {
+    const target = after || before;
+    const resource = target.constructor.modelName;
+    const changes = diffAuditSnapshots(auditSnapshot(before, resource), auditSnapshot(after, resource));
+    if (action === 'update' && !changes.length) return;
+
+    const { user, ip, visitor } = context;
+    await AuditLog.create({
+      actorType: user ? 'admin' : visitor ? 'visitor' : 'system',
+      actor: user ? user._id : undefined,
+      actorName: user ? user.name : undefined,
+      actorRole: user ? user.role : undefined,
+      action,
+      resource,
+      resourceId: target._id,
+      label: String(target.title || target.name || target.email || target.text || '').slice(0, 200),
+      changes,
+      ip,
+      visitor
+    });
+  } catch (error) {
+    console.error('Error writing audit log:', error);
+  }
+};
+
+// findOneAndUpdate that records the change in the audit log; returns the updated document or null
+const updateAudited = async (context, Model, filter, update, options = {}) => {
+  const before = await Model.findOne(filter).lean();
+  if (!before) return null;
+  const after = await Model.findOneAndUpdate({ ...filter, _id: before._id }, update, { runValidators: true, ...options, new: true });
+  if (after) await recordAudit(context, 'update', before, after);
+  return after;
+};
+
+// Trash
+// DELETE routes move documents to the trash; they are purged by an admin or once
+// they have been in the trash for TRASH_RETENTION_DAYS. Each type names the role
+// that manages it and the cleanup to run when a document is purged.
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TRASH_TYPES = {
+  blog: {
+    Model: BlogPost,
+    role: 'editor',
+    label: 'Blog post',
+    purge: async (post) => {
+      await releaseMedia(post.image, 'BlogPost', post._id);
+      await Comment.deleteMany({ post: post._id });
+      await BlogRevision.deleteMany({ post: post._id });
+    }
+  },
+  jobs: {
+    Model: JobPosting,
+    role: 'recruiter',
+    label: 'Job posting',
+    // Applications hold candidate data, so they and their resumes go with the job
+    purge: async (job) => {
+      const applications = await Application.find({ job: job._id, 'resume.publicId': { $exists: true } }).select('resume');
+      for (const { resume } of applications) {
+        await removeResume(resume);
+      }
+      await Application.deleteMany({ job: job._id });
+      await JobEvent.deleteMany({ job: job._id });
+    }
+  },
+  products: {
+    Model: Product,
+    role: 'admin',
+    label: 'Product',
+    purge: product => releaseMedia(product.image, 'Product', product._id)
+  },
+  contact: { Model: Contact, role: 'admin', label: 'Contact' },
+  chat: { Model: ChatMessage, role: 'admin', label: 'Chat message' }
+};
+
+// Soft-delete a document; null when it doesn't exist or is already in the trash
+const moveToTrash = async (Model, id, context) => {
+  const doc = await Model.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { deletedAt: new Date(), deletedBy: context.user._id },
+    { new: true }
+  );
+  if (doc) await recordAudit(context, 'delete', doc, null);
+  return doc;
+};
+
+// Permanently delete a trashed document and clean up what only it used
+const purgeTrashed = async (type, doc, context) => {
+  const { Model, purge } = TRASH_TYPES[type];
+  const result = await Model.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+  if (!result.deletedCount) return false;
+  await recordAudit(context, 'purge', doc, null);
+  if (purge) await purge(doc);
+  return true;
+};
+
+// Role check for the trash type named in the URL
+const requireTrashRole = (req, res, next) => requireRole(TRASH_TYPES[req.params.type].role)(req, res, next);
+const trashParams = { type: { type: 'string', required: true, enum: Object.keys(TRASH_TYPES) } };
+
+// Bulk import and export
+// Jobs, products and contacts can be imported from and exported to CSV or JSON.
+// CSV columns use dotted names for nested fields (salary.min) and comma-separated
+// values for lists (requirements, tags); an empty cell leaves the field unset.
+// Imports are all-or-nothing: if any row fails validation nothing is written.
+const DATA_FORMATS = ['csv', 'json'];
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+class ImportFileError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const DATA_TYPES = {
+  jobs: {
+    Model: JobPosting,
+    role: 'recruiter',
+    label: 'job postings',
+    event: 'job.created',
+    rules: { ...jobPostingRules, isActive: { type: 'boolean' }, date: { type: 'date' } },
+    fields: [
+      '_id', 'title', 'company', 'location', 'type', 'description', 'requirements', 'benefits',
+      'salary.min', 'salary.max', 'salary.currency', 'applicationDeadline', 'applyUrl',
+      'acceptsApplications', 'isActive', 'expiredAt', 'views.count', 'shares.count', 'applications.count', 'date'
+    ],
+    toDoc: row => ({
+      title: row.title,
+      company: row.company,
+      location: row.location,
+      type: row.type,
+      description: row.description,
+      requirements: toList(row.requirements),
+      benefits: toList(row.benefits),
+      salary: row.salary,
+      applicationDeadline: row.applicationDeadline,
+      applyUrl: row.applyUrl,
+      acceptsApplications: row.acceptsApplications === true || row.acceptsApplications === 'true',
+      ...(row.isActive !== undefined && { isActive: row.isActive === true || row.isActive === 'true' }),
+      date: row.date
+    })
+  },
+  products: {
+    Model: Product,
+    role: 'admin',
+    label: 'products',
+    event: 'product.created',
+    rules: {
+      name: productRules.name,
+      category: productRules.category,
+      description: productRules.description,
+      image: { type: 'url', max: 2000 },
+      date: { type: 'date' }
+    },
+    fields: ['_id', 'name', 'category', 'description', 'image', 'date', 'updatedAt'],
+    toDoc: row => ({
+      name: row.name,
+      category: row.category,
+      description: row.description,
+      image: row.image,
+      date: row.date
+    }),
+    // Images already in the media library get a reference so they aren't cleaned up
+    afterCreate: async product => attachMedia(await Media.findOne({ url: product.image }), 'Product', product._id)
+  },
+  contact: {
+    Model: Contact,
+    role: 'admin',
+    label: 'contacts',
+    event: 'contact.created',
+    rules: { ...contactRules, status: contactUpdateRules.status, tags: contactUpdateRules.tags, date: { type: 'date' } },
+    fields: ['_id', 'name', 'email', 'message', 'status', 'tags', 'assignee', 'quarantined', 'spamScore', 'date'],
+    toDoc: row => ({
+      name: row.name,
+      email: row.email.trim(),
+      message: row.message,
+      status: row.status,
+      tags: toList(row.tags),
+      date: row.date
+    })
+  }
+};
+
+const requireDataRole = (req, res, next) => requireRole(DATA_TYPES[req.params.type].role)(req, res, next);
+const dataTypeParams = { type: { type: 'string', required: true, enum: Object.keys(DATA_TYPES) } };
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, target);
+  parent[last] = value;
+  return target;
+};
+
+// RFC 4180 CSV: quoted cells may contain commas, doubled quotes and line breaks
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (text[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new ImportFileError('CSV file has an unterminated quoted value');
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Read the records of an uploaded import file.
+ *
+ * @param {Object} file - multer file
+ * @param {String} format - 'csv' or 'json'
+ * @returns {Object} { rows, columns } - rows as plain objects, columns as found in the file
+ */
+const readImportFile = (file, format) => {
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+  if (format === 'json') {
+    let rows;
+    try {
+      rows = JSON.parse(text);
+    } catch (error) {
+      throw new ImportFileError('Import file is not valid JSON');
+    }
+    if (!Array.isArray(rows)) {
+      throw new ImportFileError('A JSON import must be an array of objects');
+    }
+    const columns = rows.flatMap(row => (row && typeof row === 'object' ? Object.keys(row) : []));
+    return { rows, columns: [...new Set(columns)] };
+  }
+
+  const [header = [], ...lines] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  const rows = lines.map(cells => cells.reduce((row, cell, index) => {
+    // Undo the formula guard csvCell adds on export
+    const value = cell.replace(/^'(?=[=+\-@\t\r])/, '').trim();
+    if (columns[index] && value !== '') setPath(row, columns[index], value);
+    return row;
+  }, {}));
+  return { rows, columns };
+};
+
+/**
+ * Validate every import row against the type's rules and its Mongoose schema.
+ *
+ * @returns {Object} { docs, errors } - unsaved documents for the valid rows, and
+ *   { row, errors } for each invalid one, row 1 being the first record
+ */
+const validateImportRows = (type, rows) => {
+  const { Model, rules, toDoc } = DATA_TYPES[type];
+  const docs = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const rowErrors = [];
+    if (!row || typeof row !== 'object' || Array.isArray(row)) {
+      rowErrors.push({ field: null, message: 'Row must be an object' });
+    } else {
+      checkFields(row, rules, 'row', rowErrors);
+    }
+
+    if (!rowErrors.length) {
+      const doc = new Model(toDoc(row));
+      const validationError = doc.validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(fieldError => {
+          rowErrors.push({ field: fieldError.path, message: fieldError.message });
+        });
+      } else {
+        docs.push(doc);
+      }
+    }
+
+    if (rowErrors.length) {
+      errors.push({ row: index + 1, errors: rowErrors.map(({ field, message }) => ({ field, message })) });
+    }
+  });
+  return { docs, errors };
+};
+
+// Value of a dotted field for export; lists become comma-separated in CSV
+const exportValue = (doc, field, format) => {
+  const value = getPath(doc, field);
+  return format === 'csv' && Array.isArray(value) ? value.join(', ') : value;
+};
+
+/**
+ * Handle contact form submission.
+ * 
+ * @route POST /api/contact
+ * @param {String} name - Sender's name
+ * @param {String} email - Sender's email
+ * @param {String} message - Message content
+ * @param {String} website - Honeypot field, must be left empty
+ * @param {Number} formStartedAt - When the form was rendered (ms since epoch)
+ * @returns {Object} JSON response
+ */
+app.post('/api/contact', contactIpLimit, contactEmailLimit, validate({ body: contactRules }), async (req, res) => {
+  try {
+    const { name, email, message } = req.body;
+    const spam = scoreSpam(req.body, ['name', 'email', 'message']);
+
+    // Save to MongoDB
+    const newContact = new Contact({
+      name,
+      email,
+      message,
+      quarantined: spam.isSpam,
+      status: spam.isSpam ? 'spam' : 'new',
+      spamScore: spam.score,
+      spamReasons: spam.reasons
+    });
+    await newContact.save();
+    await recordAudit(auditContext(req), 'create', null, newContact);
+
+    // Quarantined messages get the same response so bots can't tell they were caught
+    if (spam.isSpam) {
+      return res.status(200).json({ message: 'Message sent successfully' });
+    }
+    await emitWebhookEvent('contact.created', newContact);
+
+    // Queue the notification; delivery failures are retried by the email worker
+    await queueEmail({
+      template: 'contactNotification',
+      to: process.env.REC_EMAIL,
+      replyTo: email,
+      variables: { name, email, message }
+    });
+
+    res.status(200).json({ message: 'Message sent successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error');
+  }
+});
+
+/**
+ * Subscribe to the weekly digest. A confirmation email is sent and nothing
+ * else goes out until the link in it is opened.
+ *
+ * @route POST /api/newsletter/subscribe
+ * @param {String} email - Subscriber email
+ * @param {String} name - Optional name
+ * @param {Object} topics - blog, tags, jobs, jobTypes, jobLocations
+ * @returns {Object} Success message
+ */
+app.post('/api/newsletter/subscribe', newsletterIpLimit, validate({
+  body: {
+    email: { type: 'email', required: true, max: 200 },
+    name: { type: 'string', max: 100 },
+    topics: newsletterTopicsRule
+  }
+}), async (req, res) => {
+  try {
+    const { email, name, topics } = req.body;
+    const response = { message: 'Please check your inbox to confirm your subscription' };
+
+    // Same answer for spam and existing subscribers, so the form can't be used to probe addresses
+    if (scoreSpam(req.body, ['name', 'email']).isSpam) {
+      return res.status(202).json(response);
+    }
+    const existing = await Subscriber.findOne({ email: email.toLowerCase().trim() });
+    if (existing && existing.status === 'active') {
+      return res.status(202).json(response);
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const subscriber = existing || new Subscriber({ email });
+    subscriber.set({
+      name: name || subscriber.name,
+      status: 'pending',
+      topics: parseTopics(topics),
+      confirmTokenHash: hashToken(token),
+      confirmTokenExpiresAt: new Date(Date.now() + NEWSLETTER_CONFIRM_HOURS * 60 * 60 * 1000)
+    });
+    await subscriber.save();
+
+    await queueEmail({
+      template: 'newsletterConfirmation',
+      to: subscriber.email,
+      variables: {
+        name: subscriber.name || 'there',
+        confirmUrl: `${API_URL}/api/newsletter/confirm?token=${token}`
+      }
+    });
+
+    res.status(202).json(response);
+  } catch (error) {
+    handleRouteError(res, error, 'Error subscribing to newsletter');
+  }
+});
+
+/**
+ * Confirm a subscription from the emailed link
+ *
+ * @route GET /api/newsletter/confirm
+ * @param {String} token - Confirmation token
+ * @returns {String} HTML confirmation page
+ */
+app.get('/api/newsletter/confirm', validate({ query: { token: { type: 'string', required: true, max: 128 } } }), async (req, res) => {
+  try {
+    const now = new Date();
+    const subscriber = await Subscriber.findOneAndUpdate(
+      { confirmTokenHash: hashToken(req.query.token), confirmTokenExpiresAt: { $gt: now } },
+      {
+        $set: { status: 'active', confirmedAt: now, nextDigestAt: new Date(now.getTime() + DIGEST_INTERVAL_DAYS * DAY) },
+        $unset: { confirmTokenHash: 1, confirmTokenExpiresAt: 1, unsubscribedAt: 1 }
+      }
+    );
+    if (!subscriber) {
+      return sendNewsletterPage(res, 404, 'Link expired', 'This confirmation link is invalid or has expired. Please subscribe again.');
+    }
+
+    sendNewsletterPage(res, 200, 'Subscription confirmed', "Thanks! You'll receive our digest every week.");
+  } catch (error) {
+    handleRouteError(res, error, 'Error confirming subscription');
+  }
+});
+
+// Unsubscribe from a signed link; shared by the GET link and the one-click POST
+const unsubscribeFromLink = async (query) => {
+  if (!verifySubscriberSignature(query.subscriber, query.signature)) return null;
+  return Subscriber.findByIdAndUpdate(
+    query.subscriber,
+    { status: 'unsubscribed', unsubscribedAt: new Date(), $unset: { nextDigestAt: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Unsubscribe with the signed link from a digest email
+ *
+ * @route GET /api/newsletter/unsubscribe
+ * @param {String} subscriber - Subscriber ID
+ * @param {String} signature - Link signature
+ * @returns {String} HTML confirmation page
+ */
+app.get('/api/newsletter/unsubscribe', validate({ query: subscriberLinkQuery }), async (req, res) => {
+  try {
+    const subscriber = await unsubscribeFromLink(req.query);
+    if (!subscriber) {
+      return sendNewsletterPage(res, 404, 'Link not valid', 'This unsubscribe link is not valid.');
+    }
+    sendNewsletterPage(res, 200, 'Unsubscribed', "You won't receive any more digests from us.");
+  } catch (error) {
+    handleRouteError(res, error, 'Error unsubscribing');
+  }
+});
+
+/**
+ * One-click unsubscribe (RFC 8058 List-Unsubscribe-Post) and unsubscribe from the frontend
+ *
+ * @route POST /api/newsletter/unsubscribe
+ * @param {String} subscriber - Subscriber ID
+ * @param {String} signature - Link signature
+ * @returns {Object} Success message
+ */
+app.post('/api/newsletter/unsubscribe', validate({ query: subscriberLinkQuery }), async (req, res) => {
+  try {
+    const subscriber = await unsubscribeFromLink(req.query);
+    if (!subscriber) {
+      return res.status(404).json({ message: 'Subscriber not found' });
+    }
+    res.status(200).json({ message: 'Unsubscribed successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error unsubscribing');
+  }
+});
+
+/**
+ * Read or change digest topics using the signed link from a digest email
+ *
+ * @route GET|PUT /api/newsletter/preferences
+ * @param {String} subscriber - Subscriber ID
+ * @param {String} signature - Link signature
+ * @param {Object} topics - New topics (PUT)
+ * @returns {Object} Subscriber email, status and topics
+ */
+app.get('/api/newsletter/preferences', validate({ query: subscriberLinkQuery }), async (req, res) => {
+  try {
+    const subscriber = verifySubscriberSignature(req.query.subscriber, req.query.signature)
+      ? await Subscriber.findById(req.query.subscriber)
+      : null;
+    if (!subscriber) {
+      return res.status(404).json({ message: 'Subscriber not found' });
+    }
+    res.status(200).json({ email: subscriber.email, status: subscriber.status, topics: subscriber.topics });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching newsletter preferences');
+  }
+});
+
+app.put('/api/newsletter/preferences', validate({ query: subscriberLinkQuery, body: { topics: { ...newsletterTopicsRule, required: true } } }), async (req, res) => {
+  try {
+    const subscriber = verifySubscriberSignature(req.query.subscriber, req.query.signature)
+      ? await Subscriber.findByIdAndUpdate(req.query.subscriber, { topics: parseTopics(req.body.topics) }, { new: true })
+      : null;
+    if (!subscriber) {
+      return res.status(404).json({ message: 'Subscriber not found' });
+    }
+    res.status(200).json({ email: subscriber.email, status: subscriber.status, topics: subscriber.topics });
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating newsletter preferences');
+  }
+});
+
+/**
+ * Search blog posts, jobs and products
+ *
+ * @route GET /api/search
+ * @param {String} q - Search query
+ * @param {String} type - Comma-separated types to search: blog, job, product (default all)
+ * @param {Number} limit - Maximum results (default 20, max 50)
+ * @returns {Object} Ranked results tagged with their type
+ */
+app.get('/api/search', validate({ query: { q: { type: 'string', required: true, min: 1, max: 200 }, type: { type: 'string' }, limit: { type: 'integer', min: 1 } } }), async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const types = req.query.type
+      ? req.query.type.split(',').map(type => type.trim())
+      : ['blog', 'job', 'product'];
+    const limit = Math.min(Number(req.query.limit) || 20, 50);
+    const terms = getSearchTerms(q);
+    const text = { $text: { $search: q } };
+    const score = { score: { $meta: 'textScore' } };
+
+    const searches = [];
+    if (types.includes('blog')) {
+      searches.push(
+        BlogPost.find({ ...text, ...publishedBlogFilter() }, score).sort(score).limit(limit).lean()
+          .then(posts => posts.map(post => ({
+            type: 'blog',
+            id: post._id,
+            slug: post.slug,
+            title: post.title,
+            snippet: buildSnippet(pickSnippetSource(terms, htmlToText(post.contentHtml), post.excerpt), terms),
+            image: post.image,
+            date: post.date,
+            score: post.score
+          })))
+      );
+    }
+    if (types.includes('job')) {
+      searches.push(
+        JobPosting.find({ ...text, ...activeJobFilter() }, score).sort(score).limit(limit).lean()
+          .then(jobs => jobs.map(job => ({
+            type: 'job',
+            id: job._id,
+            title: job.title,
+            company: job.company,
+            location: job.location,
+            snippet: buildSnippet(job.description, terms),
+            date: job.date,
+            score: job.score
+          })))
+      );
+    }
+    if (types.includes('product')) {
+      searches.push(
+        Product.find(text, score).sort(score).limit(limit).lean()
+          .then(products => products.map(product => ({
+            type: 'product',
+            id: product._id,
+            title: product.name,
+            category: product.category,
+            snippet: buildSnippet(product.description, terms),
+            image: product.image,
+            date: product.date,
+            score: product.score
+          })))
+      );
+    }
+
+    const results = (await Promise.all(searches))
+      .flat()
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    res.status(200).json({ query: q, total: results.length, results });
+  } catch (error) {
+    handleRouteError(res, error, 'Error searching');
+  }
+});
+
+// Published posts for the blog feeds, newest first
+const findFeedPosts = (query) => BlogPost.find({
+  ...publishedBlogFilter(),
+  ...(query.tag && { tags: { $in: splitQueryList(query.tag) } })
+})
+  .sort({ date: -1 })
+  .limit(FEED_ITEM_LIMIT)
+  .select('title slug author tags excerpt contentHtml date updatedAt')
+  .lean();
+
+/**
+ * RSS 2.0 feed of published blog posts
+ *
+ * @route GET /api/feeds/blog.rss
+ * @param {String} tag - Optional comma-separated tags
+ * @returns {String} RSS XML
+ */
+app.get('/api/feeds/blog.rss', validate({ query: { tag: { type: 'list' } } }), async (req, res) => {
+  try {
+    const posts = await findFeedPosts(req.query);
+    sendXml(req, res, 'application/rss+xml', buildBlogRss(posts, requestUrl(req)), newestDate(posts));
+  } catch (error) {
+    handleRouteError(res, error, 'Error building blog RSS feed');
+  }
+});
+
+/**
+ * Atom feed of published blog posts
+ *
+ * @route GET /api/feeds/blog.atom
+ * @param {String} tag - Optional comma-separated tags
+ * @returns {String} Atom XML
+ */
+app.get('/api/feeds/blog.atom', validate({ query: { tag: { type: 'list' } } }), async (req, res) => {
+  try {
+    const posts = await findFeedPosts(req.query);
+    sendXml(req, res, 'application/atom+xml', buildBlogAtom(posts, requestUrl(req)), newestDate(posts));
+  } catch (error) {
+    handleRouteError(res, error, 'Error building blog Atom feed');
+  }
+});
+
+/**
+ * RSS 2.0 feed of active job postings
+ *
+ * @route GET /api/feeds/jobs.rss
+ * @returns {String} RSS XML
+ */
+app.get('/api/feeds/jobs.rss', async (req, res) => {
+  try {
+    const jobs = await JobPosting.find(activeJobFilter())
+      .sort({ date: -1 })
+      .limit(FEED_ITEM_LIMIT)
+      .select('title company location type description date updatedAt')
+      .lean();
+    sendXml(req, res, 'application/rss+xml', buildJobsRss(jobs, requestUrl(req)), newestDate(jobs));
+  } catch (error) {
+    handleRouteError(res, error, 'Error building jobs RSS feed');
+  }
+});
+
+/**
+ * XML sitemap of the public site: listing pages, published blog posts,
+ * active jobs and products
+ *
+ * @route GET /api/sitemap.xml
+ * @returns {String} Sitemap XML
+ */
+app.get('/api/sitemap.xml', async (req, res) => {
+  try {
+    // Sitemap locations must be absolute, so there is no sitemap without a public site URL
+    if (!SITE_URL) {
+      return res.status(503).json({ message: 'Sitemap is not configured, set SITE_URL' });
+    }
+
+    const [posts, jobs, products] = await Promise.all([
+      BlogPost.find(publishedBlogFilter()).select('slug date updatedAt').lean(),
+      JobPosting.find(activeJobFilter()).select('date updatedAt').lean(),
+      Product.find().select('date updatedAt').lean()
+    ]);
+    const modified = newestDate([...posts, ...jobs, ...products]);
+
+    const entries = [
+      { loc: siteUrl.home(), lastmod: modified },
+      { loc: siteUrl.blog(), lastmod: posts.length ? newestDate(posts) : null },
+      { loc: siteUrl.jobs(), lastmod: jobs.length ? newestDate(jobs) : null },
+      { loc: siteUrl.products(), lastmod: products.length ? newestDate(products) : null },
+      ...posts.map(post => ({ loc: siteUrl.blogPost(post), lastmod: lastModified(post) })),
+      ...jobs.map(job => ({ loc: siteUrl.job(job), lastmod: lastModified(job) })),
+      ...products.map(product => ({ loc: siteUrl.product(product), lastmod: lastModified(product) }))
+    ];
+
+    sendXml(req, res, 'application/xml', buildSitemap(entries), modified);
+  } catch (error) {
+    handleRouteError(res, error, 'Error building sitemap');
+  }
+});
+
+/**
+ * Get all blog posts
+ * 
+ * @route GET /api/blog
+ * @param {String} q - Optional full-text search query
+ * @param {String} tag - Comma-separated tags
+ * @param {String} author - Author name contains
+ * @param {Date} dateFrom - Posted on or after
+ * @param {Date} dateTo - Posted on or before
+ * Supports ?page=&limit= or ?cursor=&limit= and ?sort=&order= (see sendList).
+ * @returns {Array|Object} Array of blog posts, or a paginated envelope
+ */
+app.get('/api/blog', validate({ query: { ...listQuery, tag: { type: 'list' }, author: { type: 'string', max: 100 } } }), async (req, res) => {
+  try {
+    await sendList(req, res, BlogPost, {
+      filter: { ...blogListFilter(req.query), ...publishedBlogFilter() },
+      sortable: BLOG_SORT_FIELDS
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching blog posts');
+  }
+});
+
+/**
+ * Get a single blog post by slug
+ * 
+ * @route GET /api/blog/:slug
+ * @param {String} slug - Blog post slug
+ * Includes contentHtml (sanitized, with heading ids), toc, wordCount, readingTime (minutes)
+ * and commentCount (approved comments).
+ * @returns {Object} Blog post object, or a 301 with the current slug when an old slug is requested
+ */
+app.get('/api/blog/:slug', validate({ params: slugParams }), async (req, res) => {
+  try {
+    const post = await BlogPost.findOne({ slug: req.params.slug, ...publishedBlogFilter() });
+    if (!post) {
+      // Old slug of a renamed post
+      const moved = await BlogPost.findOne({ previousSlugs: req.params.slug, ...publishedBlogFilter() }).select('slug');
+      if (moved) {
+        const location = `/api/blog/${moved.slug}`;
+        return res.status(301).location(location).json({ message: 'Blog post has moved', slug: moved.slug, location });
+      }
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+    res.status(200).json(post);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching blog post');
+  }
+});
+
+/**
+ * Comment on a published blog post. Comments are held for moderation.
+ *
+ * @route POST /api/blog/:slug/comments
+ * @param {String} slug - Blog post slug
+ * @param {String} name - Commenter name
+ * @param {String} email - Commenter email, never shown publicly
+ * @param {String} text - Comment text
+ * @param {String} parentId - Optional approved comment being replied to
+ * @returns {Object} Submitted comment
+ */
+app.post('/api/blog/:slug/comments', commentIpLimit, validate({ params: slugParams, body: commentRules }), async (req, res) => {
+  try {
+    const { name, email, text, parentId } = req.body;
+    const post = await BlogPost.findOne({ slug: req.params.slug, ...publishedBlogFilter() }).select('_id');
+    if (!post) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    let thread = {};
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, post: post._id, status: 'approved' }).select('parent root depth');
+      if (!parent) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+      // Past the deepest level, replies join their parent's level
+      thread = parent.depth >= MAX_COMMENT_DEPTH
+        ? { parent: parent.parent, root: parent.root, depth: parent.depth }
+        : { parent: parent._id, root: parent.root || parent._id, depth: parent.depth + 1 };
+    }
+
+    const spam = scoreSpam(req.body, ['name', 'email', 'text']);
+    const comment = await Comment.create({
+      post: post._id,
+      ...thread,
+      name,
+      email,
+      text: text.trim(),
+      status: spam.isSpam ? 'spam' : 'pending',
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      visitor: getClientInfo(req).visitor
+    });
+
+    // Suspected spam gets the same answer so it can't probe the filter
+    res.status(201).json({
+      message: 'Thanks! Your comment will appear once it has been approved.',
+      comment: {
+        _id: comment._id,
+        parent: comment.parent,
+        name: comment.name,
+        text: comment.text,
+        date: comment.date,
+        status: 'pending'
+      }
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error submitting comment');
+  }
+});
+
+/**
+ * Approved comments on a blog post: top-level comments with their replies
+ * nested under `replies`, oldest first
+ *
+ * @route GET /api/blog/:slug/comments
+ * @param {String} slug - Blog post slug
+ * Supports ?page=&limit= or ?cursor=&limit= (see sendList); pages count top-level comments.
+ * @returns {Array|Object} Array of comment threads, or a paginated envelope
+ */
+app.get('/api/blog/:slug/comments', validate({ params: slugParams, query: listQuery }), async (req, res) => {
+  try {
+    const post = await BlogPost.findOne({ slug: req.params.slug, ...publishedBlogFilter() }).select('_id');
+    if (!post) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    await sendList(req, res, Comment, {
+      filter: { post: post._id, parent: null, status: 'approved' },
+      defaultSort: 'date',
+      select: PUBLIC_COMMENT_FIELDS,
+      transform: attachCommentReplies
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching comments');
+  }
+});
+
+/**
+ * Create a new blog post
+ * 
+ * @route POST /api/blog
+ * @param {String} title - Blog post title
+ * @param {String} content - Blog post content
+ * @param {String} contentFormat - 'markdown' (default) or 'html'; stored as sanitized contentHtml
+ * @param {String} author - Author name
+ * @param {String} excerpt - Blog post excerpt, generated from the content when empty
+ * @param {Array} tags - Blog post tags
+ * @param {Boolean} published - Whether the post is published
+ * @param {Date} publishAt - Publish automatically at this time
+ * @param {Date} unpublishAt - Unpublish automatically at this time
+ * @param {String} slug - Optional custom slug, derived from the title when omitted
+ * @returns {Object} Created blog post
+ */
+app.post('/api/blog', requireAuth, requireRole('editor'), handleUpload(upload.single('image')), validate({ body: blogPostRules }), async (req, res) => {
+  try {
+    const { title, content, contentFormat, author, excerpt, tags, published } = req.body;
+    const publishAt = parseOptionalDate(req.body.publishAt);
+    const unpublishAt = parseOptionalDate(req.body.unpublishAt);
+    const isScheduled = publishAt && publishAt > new Date();
+    
+    // New upload or an existing media library item (mediaId)
+    const media = await resolveImageMedia(req);
+    const imageUrl = media ? media.url : '';
+
+    // A custom slug must be free; a title-derived one gets a numeric suffix instead
+    if (req.body.slug && await isBlogSlugTaken(req.body.slug)) {
+      return res.status(409).json({ message: 'This slug is already in use', field: 'slug' });
+    }
+    const slug = req.body.slug || await uniqueBlogSlug(title);
+
+    const newPost = new BlogPost({
+      title,
+      content,
+      contentFormat,
+      author,
+      excerpt,
+      tags: toList(tags),
+      image: imageUrl,
+      slug,
+      // A post scheduled for the future stays unpublished until the scheduler picks it up
+      published: !isScheduled && (published === true || published === 'true'),
+      publishAt: isScheduled ? publishAt : undefined,
+      unpublishAt: unpublishAt || undefined
+    });
+
+    const savedPost = await newPost.save();
+    await attachMedia(media, 'BlogPost', savedPost._id);
+    await saveBlogRevision(savedPost, req.user, 'create');
+    await recordAudit(auditContext(req), 'create', null, savedPost);
+    if (savedPost.published) await emitWebhookEvent('blog.published', savedPost);
+    res.status(201).json(savedPost);
+  } catch (error) {
+    handleRouteError(res, error, 'Error creating blog post');
+  }
+});
+
+/**
+ * Get all job postings
+ * 
+ * @route GET /api/jobs
+ * @param {String} q - Optional full-text search query
+ * @param {String} type - Comma-separated job types
+ * @param {String} location - Location contains
+ * @param {String} company - Company contains
+ * @param {Number} salaryMin - Salary range overlaps from this amount
+ * @param {Number} salaryMax - Salary range overlaps up to this amount
+ * @param {String} currency - Salary currency
+ * Supports ?page=&limit= or ?cursor=&limit= and ?sort=&order= (see sendList).
+ * @returns {Array|Object} Array of job postings, or a paginated envelope
+ */
+app.get('/api/jobs', validate({ query: jobListQuery }), async (req, res) => {
+  try {
+    await sendList(req, res, JobPosting, {
+      filter: { ...jobListFilter(req.query), ...activeJobFilter() },
+      sortable: JOB_SORT_FIELDS
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching job postings');
+  }
+});
+
+/**
+ * Google for Jobs export: JSON-LD for every active job that has all required fields.
+ * Declared before /api/jobs/:id so 'jsonld' is not read as an ID.
+ *
+ * @route GET /api/jobs/jsonld
+ * @returns {Object} JSON-LD document with an @graph of JobPosting entries
+ */
+app.get('/api/jobs/jsonld', async (req, res) => {
+  try {
+    const jobs = await JobPosting.find(activeJobFilter()).sort({ date: -1 }).lean();
+    const graph = jobs
+      .map(buildJobPostingJsonLd)
+      .filter(result => result.valid)
+      .map(({ jsonld }) => {
+        const { '@context': context, ...posting } = jsonld;
+        return posting;
+      });
+
+    res.type('application/ld+json').status(200).json({ '@context': 'https://schema.org', '@graph': graph });
+  } catch (error) {
+    handleRouteError(res, error, 'Error exporting job structured data');
+  }
+});
+
+/**
+ * Get a single active job posting by ID
+ * 
+ * @route GET /api/jobs/:id
+ * @param {String} id - Job posting ID
+ * @returns {Object} Job posting object
+ */
+app.get('/api/jobs/:id', validate({ params: idParams }), async (req, res) => {
+  try {
+    // Inactive and past-deadline jobs are hidden even before the scheduler expires them
+    const job = await JobPosting.findOne({ _id: req.params.id, ...activeJobFilter() });
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+    
     // Track view
-    const { ip, browser } = getClientInfo(req);
+    const updatedJob = await trackJobEvent(req, job, 'view');
+    
+    res.status(200).json(updatedJob);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching job posting');
+  }
+});
+
+/**
+ * schema.org JobPosting JSON-LD for an active job, ready to embed in a
+ * <script type="application/ld+json"> tag
+ *
+ * @route GET /api/jobs/:id/jsonld
+ * @param {String} id - Job posting ID
+ * @returns {Object} JSON-LD document
+ */
+app.get('/api/jobs/:id/jsonld', validate({ params: idParams }), async (req, res) => {
+  try {
+    const job = await JobPosting.findOne({ _id: req.params.id, ...activeJobFilter() }).lean();
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+
+    res.type('application/ld+json').status(200).json(buildJobPostingJsonLd(job).jsonld);
+  } catch (error) {
+    handleRouteError(res, error, 'Error building job structured data');
+  }
+});
+
+/**
+ * Track job share
+ * @route POST /api/jobs/:id/share
+ * @param {String} id - Job ID
+ * @returns {Object} Updated job posting
+ */
+app.post('/api/jobs/:id/share', validate({ params: idParams }), async (req, res) => {
+  try {
+    const job = await JobPosting.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+    
+    // Track share
+    const updatedJob = await trackJobEvent(req, job, 'share');
+    
+    res.status(200).json({ message: 'Share tracked successfully', shares: updatedJob.shares });
+  } catch (error) {
+    handleRouteError(res, error, 'Error tracking job share');
+  }
+});
+
+/**
+ * Track job application
+ * @route POST /api/jobs/:id/apply
+ * @param {String} id - Job ID
+ * @returns {Object} Updated job posting
+ */
+app.post('/api/jobs/:id/apply', validate({ params: idParams }), async (req, res) => {
+  try {
+    const job = await JobPosting.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+    
+    // Track application
+    const updatedJob = await trackJobEvent(req, job, 'apply');
+    
+    res.status(200).json({ message: 'Application tracked successfully', applications: updatedJob.applications });
+  } catch (error) {
+    handleRouteError(res, error, 'Error tracking job application');
+  }
+});
+
+/**
+ * Apply to a job through the native application flow
+ * Expects multipart/form-data with an optional 'resume' file (PDF or Word).
+ * @route POST /api/jobs/:id/applications
+ * @param {String} id - Job ID
+ * @param {String} name - Candidate name
+ * @param {String} email - Candidate email
+ * @param {String} phone - Candidate phone
+ * @param {String} coverLetter - Cover letter
+ * @returns {Object} Success message and application ID
+ */
+app.post('/api/jobs/:id/applications', handleUpload(resumeUpload.single('resume')), validate({ params: idParams, body: applicationRules }), async (req, res) => {
+  try {
+    const { name, email, phone, coverLetter } = req.body;
+    const job = await JobPosting.findOne({ _id: req.params.id, ...activeJobFilter() });
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+    if (!job.acceptsApplications) {
+      return res.status(400).json({ message: 'This job does not accept applications here', applyUrl: job.applyUrl });
+    }
+
+    const existing = await Application.exists({ job: job._id, email: email.toLowerCase().trim() });
+    if (existing) {
+      return res.status(409).json({ message: 'You have already applied for this job' });
+    }
+
+    let resume;
+    if (req.file) {
+      const stored = await mediaStorage.upload(req.file.buffer, {
+        folder: 'resumes',
+        mimeType: req.file.mimetype,
+        resourceType: 'raw'
+      });
+      resume = {
+        url: stored.url,
+        publicId: stored.key,
+        driver: STORAGE_DRIVER,
+        filename: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size
+      };
+    }
+
+    let application;
+    try {
+      application = await Application.create({
+        job: job._id,
+        name,
+        email,
+        phone,
+        coverLetter,
+        resume,
+        stageHistory: [{ stage: 'new' }]
+      });
+    } catch (error) {
+      // Don't keep a resume (candidate PII) for an application that was never saved
+      if (resume) await removeResume(resume);
+      throw error;
+    }
+
+    // Keep the job's application analytics in step with native applications
+    await trackJobEvent(req, job, 'apply');
+    await emitWebhookEvent('job.applied', {
+      application,
+      job: { _id: job._id, title: job.title, company: job.company }
+    });
+
+    await queueEmail({
+      template: 'applicationConfirmation',
+      to: application.email,
+      variables: { name: application.name, jobTitle: job.title, company: job.company }
+    });
+
+    res.status(201).json({ message: 'Application submitted successfully', id: application._id });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ message: 'You have already applied for this job' });
+    }
+    handleRouteError(res, error, 'Error submitting job application');
+  }
+});
+
+/**
+ * Create a new job posting
+ * 
+ * @route POST /api/jobs
+ * @param {String} title - Job title
+ * @param {String} company - Company name
+ * @param {String} location - Job location
+ * @param {String} type - Job type
+ * @param {String} description - Job description
+ * @param {Array} requirements - Job requirements
+ * @param {Array} benefits - Job benefits
+ * @param {Object} salary - Salary information
+ * @param {Date} applicationDeadline - Application deadline
+ * @param {String} applyUrl - External application URL (optional when acceptsApplications is set)
+ * @param {Boolean} acceptsApplications - Accept native applications with resume upload
+ * @returns {Object} Created job posting
+ */
+app.post('/api/jobs', requireAuth, requireRole('recruiter'), validate({ body: jobPostingRules }), async (req, res) => {
+  try {
+    const {
+      title,
+      company,
+      location,
+      type,
+      description,
+      requirements,
+      benefits,
+      salary,
+      applicationDeadline,
+      applyUrl,
+      acceptsApplications
+    } = req.body;
+
+    const newJob = new JobPosting({
+      title,
+      company,
+      location,
+      type,
+      description,
+      requirements: toList(requirements),
+      benefits: toList(benefits),
+      salary,
+      applicationDeadline,
+      applyUrl,
+      acceptsApplications: acceptsApplications === true || acceptsApplications === 'true'
+    });
+
+    const savedJob = await newJob.save();
+    await recordAudit(auditContext(req), 'create', null, savedJob);
+    await emitWebhookEvent('job.created', savedJob);
+    res.status(201).json(savedJob);
+  } catch (error) {
+    handleRouteError(res, error, 'Error creating job posting');
+  }
+});
+
+/**
+ * Start a chat conversation for a visitor
+ * @route POST /api/chat/conversations
+ * @param {String} name - Visitor name (optional)
+ * @param {String} email - Visitor email (optional)
+ * @returns {Object} Conversation and the visitorToken used to access it
+ */
+app.post('/api/chat/conversations', conversationStartLimit, validate({ body: { name: { type: 'string', max: 100 }, email: { type: 'email' } } }), async (req, res) => {
+  try {
+    const { name, email } = req.body;
+    const visitorToken = crypto.randomBytes(24).toString('hex');
+    const conversation = await Conversation.create({
+      visitorName: name,
+      visitorEmail: email,
+      visitorToken
+    });
+
+    chatNamespace.to('admins').emit('conversation:updated', conversation);
+    res.status(201).json({
+      conversation: { ...conversation.toObject(), visitorToken: undefined },
+      visitorToken
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error starting conversation');
+  }
+});
+
+/**
+ * Mark the other side's messages in a conversation as read
+ * @route POST /api/chat/conversations/:id/read
+ * @param {String} id - Conversation ID
+ * @returns {Object} Success message
+ */
+app.post('/api/chat/conversations/:id/read', optionalAuth, validate({ params: idParams }), async (req, res) => {
+  try {
+    const conversation = req.user
+      ? await Conversation.findById(req.params.id)
+      : await getVisitorConversation(req.params.id, req.headers['x-visitor-token']);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    await markConversationRead(conversation, req.user ? 'admin' : 'user');
+    res.status(200).json({ message: 'Conversation marked as read' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error marking conversation read');
+  }
+});
+
+/**
+ * Get chat messages for a conversation
+ * Visitors must send their visitorToken in the x-visitor-token header.
+ * Admins may omit conversationId to get every message.
+ * Supports ?page=&limit= or ?cursor=&limit= and ?sort=&order= (see sendList).
+ * @route GET /api/chat
+ * @param {String} conversationId - Conversation ID (query)
+ * @param {Date} dateFrom - Sent on or after
+ * @param {Date} dateTo - Sent on or before
+ * @returns {Array|Object} Array of chat messages, or a paginated envelope
+ */
+app.get('/api/chat', optionalAuth, validate({ query: { ...listQuery, conversationId: { type: 'objectId' } } }), async (req, res) => {
+  try {
+    const { conversationId } = req.query;
+    const filter = { ...dateRangeFilter(req.query) };
+
+    if (req.user) {
+      if (conversationId) filter.conversation = conversationId;
+    } else {
+      const conversation = await getVisitorConversation(conversationId, req.headers['x-visitor-token']);
+      if (!conversation) {
+        return res.status(401).json({ message: 'A valid conversation and visitor token are required' });
+      }
+      filter.conversation = conversation._id;
+    }
+
+    await sendList(req, res, ChatMessage, { filter, defaultSort: 'date' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching chat messages');
+  }
+});
+
+/**
+ * Get all contacts (admin only)
+ * Supports ?page=&limit= or ?cursor=&limit= and ?sort=&order= (see sendList).
+ * @route GET /api/contact
+ * @param {String} email - Sender email contains
+ * @param {String} quarantined - 'true' for suspected spam only, 'all' for everything (default excludes spam)
+ * @param {String} status - Comma-separated statuses
+ * @param {String} assignee - Admin user ID, 'me' or 'none'
+ * @param {String} tag - Comma-separated tags
+ * @param {Date} dateFrom - Submitted on or after
+ * @param {Date} dateTo - Submitted on or before
+ * @returns {Array|Object} Array of contact submissions, or a paginated envelope
+ */
+app.get('/api/contact', requireAuth, requireRole('admin'), validate({ query: contactListQuery }), async (req, res) => {
+  try {
+    const { status, assignee, tag } = req.query;
+    let assigneeFilter;
+    if (assignee === 'me') assigneeFilter = { assignee: req.user._id };
+    else if (assignee === 'none') assigneeFilter = { assignee: null };
+    else if (assignee && mongoose.isValidObjectId(assignee)) assigneeFilter = { assignee };
+    else if (assignee) return res.status(400).json({ message: 'Invalid assignee' });
+
+    await sendList(req, res, Contact, {
+      filter: {
+        ...(req.query.email && { email: containsFilter(req.query.email) }),
+        ...(status && { status: { $in: splitQueryList(status) } }),
+        ...assigneeFilter,
+        ...(tag && { tags: { $in: splitQueryList(tag) } }),
+        ...(req.query.quarantined !== 'all' && {
+          quarantined: req.query.quarantined === 'true' ? true : { $ne: true }
+        }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'name', 'email']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching contacts');
+  }
+});
+
+/**
+ * Get a single contact submission with its notes and reply thread
+ * @route GET /api/contact/:id
+ * @param {String} id - Contact ID
+ * @returns {Object} Contact
+ */
+app.get('/api/contact/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id).populate('assignee', 'name email');
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    res.status(200).json(contact);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching contact');
+  }
+});
+
+/**
+ * Update a contact's status, assignee or tags
+ * @route PUT /api/contact/:id
+ * @param {String} id - Contact ID
+ * @param {String} status - 'new', 'in-progress', 'resolved' or 'spam'
+ * @param {String} assignee - Admin user ID, or null to unassign
+ * @param {Array} tags - Tags (array or comma-separated)
+ * @returns {Object} Updated contact
+ */
+app.put('/api/contact/:id', requireAuth, requireRole('admin'), validate({ params: idParams, body: contactUpdateRules }), async (req, res) => {
+  try {
+    const { status, assignee, tags } = req.body;
+    if (assignee) {
+      const user = await AdminUser.exists({ _id: assignee, isActive: true });
+      if (!user) {
+        return res.status(400).json({ message: 'Assignee must be an active admin user' });
+      }
+    }
+
+    const updateData = {
+      ...(status !== undefined && { status }),
+      ...(assignee !== undefined && { assignee: assignee || null }),
+      ...(tags !== undefined && {
+        tags: toList(tags)
+      })
+    };
+
+    const contact = await updateAudited(auditContext(req), Contact, { _id: req.params.id }, updateData);
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    await contact.populate('assignee', 'name email');
+    res.status(200).json(contact);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating contact');
+  }
+});
+
+/**
+ * Add an internal note to a contact
+ * @route POST /api/contact/:id/notes
+ * @param {String} id - Contact ID
+ * @param {String} text - Note text
+ * @returns {Object} Updated contact
+ */
+app.post('/api/contact/:id/notes', requireAuth, requireRole('admin'), validate({ params: idParams, body: noteBody }), async (req, res) => {
+  try {
+    const { text } = req.body;
+    const contact = await updateAudited(
+      auditContext(req),
+      Contact,
+      { _id: req.params.id },
+      { $push: { notes: { text: String(text).trim(), author: req.user._id, authorName: req.user.name } } }
+    );
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    res.status(201).json(contact);
+  } catch (error) {
+    handleRouteError(res, error, 'Error adding contact note');
+  }
+});
+
+/**
+ * Reply to a contact by email and record the reply in its thread
+ * @route POST /api/contact/:id/reply
+ * @param {String} id - Contact ID
+ * @param {String} subject - Email subject (default 'Re: Your message')
+ * @param {String} message - Reply body
+ * @returns {Object} Updated contact
+ */
+app.post('/api/contact/:id/reply', requireAuth, requireRole('admin'), validate({ params: idParams, body: contactReplyRules }), async (req, res) => {
+  try {
+    const { subject, message } = req.body;
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    if (!contact.email) {
+      return res.status(400).json({ message: 'This contact has no email address' });
+    }
+
+    const before = contact.toObject();
+    const replySubject = subject || 'Re: Your message';
+    const outboxEmail = await queueEmail({
+      template: 'contactReply',
+      to: contact.email,
+      replyTo: process.env.REC_EMAIL || EMAIL_FROM,
+      variables: {
+        subject: replySubject,
+        message: String(message).trim(),
+        date: contact.date.toDateString(),
+        name: contact.name,
+        originalMessage: contact.message
+      }
+    });
+
+    contact.thread.push({
+      direction: 'outbound',
+      subject: replySubject,
+      body: String(message).trim(),
+      to: contact.email,
+      sentBy: req.user._id,
+      sentByName: req.user.name,
+      outbox: outboxEmail._id
+    });
+    if (contact.status === 'new') contact.status = 'in-progress';
+    await contact.save();
+    await recordAudit(auditContext(req), 'update', before, contact);
+
+    res.status(200).json(contact);
+  } catch (error) {
+    handleRouteError(res, error, 'Error replying to contact');
+  }
+});
+
+/**
+ * Release a quarantined contact submission and send its notification email
+ * @route POST /api/contact/:id/release
+ * @param {String} id - Contact ID
+ * @returns {Object} Released contact
+ */
+app.post('/api/contact/:id/release', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const contact = await Contact.findById(req.params.id);
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    if (!contact.quarantined) {
+      return res.status(400).json({ message: 'Contact is not quarantined' });
+    }
+
+    const before = contact.toObject();
+    contact.quarantined = false;
+    if (contact.status === 'spam') contact.status = 'new';
+    await contact.save();
+    await recordAudit(auditContext(req), 'update', before, contact);
+    // Quarantined contacts were never announced, so this is when integrations first hear of them
+    await emitWebhookEvent('contact.created', contact);
+
+    await queueEmail({
+      template: 'contactNotification',
+      to: process.env.REC_EMAIL,
+      replyTo: contact.email,
+      variables: { name: contact.name, email: contact.email, message: contact.message }
+    });
+
+    res.status(200).json(contact);
+  } catch (error) {
+    handleRouteError(res, error, 'Error releasing contact');
+  }
+});
+
+/**
+ * Delete a contact submission (moves it to the trash, see /api/admin/trash)
+ * @route DELETE /api/contact/:id
+ * @param {String} id - Contact ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/contact/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const contact = await moveToTrash(Contact, req.params.id, auditContext(req));
+    if (!contact) {
+      return res.status(404).json({ message: 'Contact not found' });
+    }
+    res.status(200).json({ message: 'Contact moved to trash' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting contact');
+  }
+});
+
+/**
+ * Update a blog post
+ * @route PUT /api/blog/:id
+ * @param {String} id - Blog post ID
+ * @param {String} title - Blog post title
+ * @param {String} content - Blog post content
+ * @param {String} contentFormat - 'markdown' (default) or 'html'; stored as sanitized contentHtml
+ * @param {String} author - Author name
+ * @param {String} excerpt - Blog post excerpt, generated from the content when empty
+ * @param {Array} tags - Blog post tags
+ * @param {Boolean} published - Whether the post is published
+ * @param {Date} publishAt - Publish automatically at this time ('' to clear)
+ * @param {Date} unpublishAt - Unpublish automatically at this time ('' to clear)
+ * @param {String} slug - Custom slug; the old slug keeps redirecting
+ * @returns {Object} Updated blog post
+ */
+app.put('/api/blog/:id', requireAuth, requireRole('editor'), handleUpload(upload.single('image')), validate({ params: idParams, body: optionalRules(blogPostRules) }), async (req, res) => {
+  try {
+    const { title, content, contentFormat, author, excerpt, tags, published } = req.body;
+    const publishAt = parseOptionalDate(req.body.publishAt);
+    const unpublishAt = parseOptionalDate(req.body.unpublishAt);
+    const isScheduled = publishAt && publishAt > new Date();
     
-    // Update view count and track unique IPs and browsers
-    if (!job.views.uniqueIPs.includes(ip)) {
-      job.views.uniqueIPs.push(ip);
+    // New upload or an existing media library item (mediaId)
+    const media = await resolveImageMedia(req);
+    const imageUrl = media ? media.url : '';
+
+    // Only overwrite fields that were sent, so a partial update doesn't blank the rest
+    const updateData = {
+      ...(title !== undefined && { title }),
+      ...(content !== undefined && { content }),
+      ...(contentFormat !== undefined && { contentFormat }),
+      ...(author !== undefined && { author }),
+      ...(excerpt !== undefined && { excerpt }),
+      ...(tags !== undefined && { tags: toList(tags) }),
+      ...(published !== undefined && { published: published === true || published === 'true' }),
+      // As on create, only a future publishAt schedules the post; a past one is dropped, not published
+      ...(publishAt !== undefined && { publishAt: isScheduled ? publishAt : null }),
+      ...(unpublishAt !== undefined && { unpublishAt }),
+      ...(isScheduled && { published: false }),
+      ...(imageUrl && { image: imageUrl })
+    };
+
+    const post = await BlogPost.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    // A custom slug wins; otherwise a new title gets a new slug
+    let slug;
+    if (req.body.slug && req.body.slug !== post.slug) {
+      if (await isBlogSlugTaken(req.body.slug, post._id)) {
+        return res.status(409).json({ message: 'This slug is already in use', field: 'slug' });
+      }
+      slug = req.body.slug;
+    } else if (!req.body.slug && title !== undefined && title !== post.title) {
+      slug = await uniqueBlogSlug(title, post._id);
+    }
+
+    const before = post.toObject();
+    const previousImage = post.image;
+    post.set(updateData);
+    if (slug) setBlogSlug(post, slug);
+    const updatedPost = await post.save();
+
+    // Swap the media reference and clean up the old image if nothing else uses it
+    if (media) {
+      await attachMedia(media, 'BlogPost', updatedPost._id);
+      if (previousImage !== media.url) {
+        await releaseMedia(previousImage, 'BlogPost', updatedPost._id);
+      }
+    }
+
+    await saveBlogRevision(updatedPost, req.user, 'update');
+    await recordAudit(auditContext(req), 'update', before, updatedPost);
+    if (!before.published && updatedPost.published) await emitWebhookEvent('blog.published', updatedPost);
+    res.status(200).json(updatedPost);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating blog post');
+  }
+});
+
+/**
+ * Get the revision history of a blog post
+ * Supports the shared pagination contract.
+ * @route GET /api/blog/:id/revisions
+ * @param {String} id - Blog post ID
+ * @returns {Array|Object} Revisions, newest first, or a paginated envelope
+ */
+app.get('/api/blog/:id/revisions', requireAuth, requireRole('editor'), validate({ params: idParams, query: listQuery }), async (req, res) => {
+  try {
+    await sendList(req, res, BlogRevision, {
+      filter: { post: req.params.id, ...dateRangeFilter(req.query) },
+      sortable: ['version', 'date'],
+      defaultSort: '-version',
+      select: '-snapshot.content'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching blog revisions');
+  }
+});
+
+/**
+ * Get a field-level diff between two revisions of a blog post
+ * @route GET /api/blog/:id/revisions/diff
+ * @param {String} id - Blog post ID
+ * @param {Number} from - Older revision version (query)
+ * @param {Number} to - Newer revision version (query, defaults to latest)
+ * @returns {Object} Revisions compared and the changed fields
+ */
+app.get('/api/blog/:id/revisions/diff', requireAuth, requireRole('editor'), validate({ params: idParams, query: revisionDiffQuery }), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const fromRevision = await BlogRevision.findOne({ post: req.params.id, version: Number(from) });
+    const toRevision = to
+      ? await BlogRevision.findOne({ post: req.params.id, version: Number(to) })
+      : await BlogRevision.findOne({ post: req.params.id }).sort({ version: -1 });
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.status(200).json({
+      from: fromRevision.version,
+      to: toRevision.version,
+      changes: diffBlogRevisions(fromRevision, toRevision)
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error diffing blog revisions');
+  }
+});
+
+/**
+ * Get a single revision of a blog post
+ * @route GET /api/blog/:id/revisions/:version
+ * @param {String} id - Blog post ID
+ * @param {Number} version - Revision version
+ * @returns {Object} Revision with full snapshot
+ */
+app.get('/api/blog/:id/revisions/:version', requireAuth, requireRole('editor'), validate({ params: revisionParams }), async (req, res) => {
+  try {
+    const revision = await BlogRevision.findOne({ post: req.params.id, version: Number(req.params.version) });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+    res.status(200).json(revision);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching blog revision');
+  }
+});
+
+/**
+ * Restore a blog post to an older revision
+ * The restore is recorded as a new revision, so it can itself be undone.
+ * @route POST /api/blog/:id/revisions/:version/restore
+ * @param {String} id - Blog post ID
+ * @param {Number} version - Revision version to restore
+ * @param {Boolean} restoreSlug - 'true' to also derive the slug from the restored title (default keeps the current slug)
+ * @returns {Object} Restored blog post
+ */
+app.post('/api/blog/:id/revisions/:version/restore', requireAuth, requireRole('editor'), validate({ params: revisionParams, query: { restoreSlug: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const post = await BlogPost.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+
+    const revision = await BlogRevision.findOne({ post: post._id, version: Number(req.params.version) });
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    const before = post.toObject();
+    const previousImage = post.image;
+    // The current URL stays unless the caller asks for the slug to follow the restored title
+    if (req.query.restoreSlug === 'true' && revision.snapshot.title !== post.title) {
+      setBlogSlug(post, await uniqueBlogSlug(revision.snapshot.title, post._id));
+    }
+    BLOG_REVISION_FIELDS.forEach((field) => {
+      post[field] = revision.snapshot[field];
+    });
+    const restoredPost = await post.save();
+
+    if (previousImage !== restoredPost.image) {
+      await attachMedia(await Media.findOne({ url: restoredPost.image }), 'BlogPost', restoredPost._id);
+      await releaseMedia(previousImage, 'BlogPost', restoredPost._id);
+    }
+    await saveBlogRevision(restoredPost, req.user, 'restore', revision._id);
+    await recordAudit(auditContext(req), 'update', before, restoredPost);
+    if (!before.published && restoredPost.published) await emitWebhookEvent('blog.published', restoredPost);
+
+    res.status(200).json(restoredPost);
+  } catch (error) {
+    handleRouteError(res, error, 'Error restoring blog revision');
+  }
+});
+
+/**
+ * Delete a blog post (moves it to the trash, see /api/admin/trash)
+ * @route DELETE /api/blog/:id
+ * @param {String} id - Blog post ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/blog/:id', requireAuth, requireRole('editor'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const post = await moveToTrash(BlogPost, req.params.id, auditContext(req));
+    if (!post) {
+      return res.status(404).json({ message: 'Blog post not found' });
+    }
+    res.status(200).json({ message: 'Blog post moved to trash' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting blog post');
+  }
+});
+
+/**
+ * Update a job posting
+ * @route PUT /api/jobs/:id
+ * @param {String} id - Job posting ID
+ * @returns {Object} Updated job posting
+ */
+app.put('/api/jobs/:id', requireAuth, requireRole('recruiter'), validate({ params: idParams, body: { ...optionalRules(jobPostingRules), isActive: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const {
+      title, company, location, type, description, requirements, benefits,
+      salary, applicationDeadline, applyUrl, isActive, acceptsApplications
+    } = req.body;
+
+    const active = isActive === true || isActive === 'true';
+
+    // Only fields sent in the request are changed
+    const updateData = {
+      ...(title !== undefined && { title }),
+      ...(company !== undefined && { company }),
+      ...(location !== undefined && { location }),
+      ...(type !== undefined && { type }),
+      ...(description !== undefined && { description }),
+      ...(requirements !== undefined && { requirements: toList(requirements) }),
+      ...(benefits !== undefined && { benefits: toList(benefits) }),
+      // Salary fields are merged, so sending only salary.min keeps max and currency
+      ...(salary !== undefined && (salary
+        ? Object.fromEntries(['min', 'max', 'currency']
+          .filter(field => salary[field] !== undefined)
+          .map(field => [`salary.${field}`, salary[field]]))
+        : { salary: {} })),
+      ...(applicationDeadline !== undefined && {
+        applicationDeadline: applicationDeadline ? new Date(applicationDeadline) : null
+      }),
+      ...(applyUrl !== undefined && { applyUrl }),
+      ...(isActive !== undefined && { isActive: active }),
+      ...(active && { expiredAt: null }),
+      ...(acceptsApplications !== undefined && {
+        acceptsApplications: acceptsApplications === true || acceptsApplications === 'true'
+      })
+    };
+
+    const job = await JobPosting.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+
+    // Saving the document runs the full schema validation, including applyUrl,
+    // which is only required while the job doesn't accept native applications
+    const before = job.toObject();
+    job.set(updateData);
+    const updatedJob = await job.save();
+    await recordAudit(auditContext(req), 'update', before, updatedJob);
+
+    await emitWebhookEvent('job.updated', updatedJob);
+    res.status(200).json(updatedJob);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating job posting');
+  }
+});
+
+/**
+ * Delete a job posting (moves it to the trash, see /api/admin/trash)
+ * @route DELETE /api/jobs/:id
+ * @param {String} id - Job posting ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/jobs/:id', requireAuth, requireRole('recruiter'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const job = await moveToTrash(JobPosting, req.params.id, auditContext(req));
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+    res.status(200).json({ message: 'Job posting moved to trash' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting job posting');
+  }
+});
+
+/**
+ * Delete a chat message (moves it to the trash, see /api/admin/trash)
+ * @route DELETE /api/chat/:id
+ * @param {String} id - Chat message ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/chat/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const chatMessage = await moveToTrash(ChatMessage, req.params.id, auditContext(req));
+    if (!chatMessage) {
+      return res.status(404).json({ message: 'Chat message not found' });
+    }
+    res.status(200).json({ message: 'Chat message moved to trash' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting chat message');
+  }
+});
+/**
+ * Send a chat message
+ * Visitors send as 'user' with the x-visitor-token header,
+ * authenticated admins always send as 'admin'.
+ * @route POST /api/chat
+ * @param {String} conversationId - Conversation ID
+ * @param {String} text - Message text
+ * @returns {Object} Created chat message
+ */
+app.post('/api/chat', optionalAuth, chatMessageLimit, validate({ body: chatMessageRules }), async (req, res) => {
+  try {
+    const { conversationId, text } = req.body;
+    if (!req.user && scoreSpam(req.body, ['text']).isSpam) {
+      return res.status(400).json({ message: 'Message rejected' });
     }
-    if (!job.views.browsers.includes(browser)) {
-      job.views.browsers.push(browser);
+
+    let conversation;
+    if (req.user) {
+      conversation = mongoose.isValidObjectId(conversationId)
+        ? await Conversation.findById(conversationId)
+        : null;
+    } else {
+      conversation = await getVisitorConversation(conversationId, req.headers['x-visitor-token']);
     }
-    job.views.count += 1;
-    
-    await job.save();
-    
-    res.status(200).json(job);
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    const savedMsg = await createChatMessage({
+      conversation,
+      from: req.user ? 'admin' : 'user',
+      text: String(text).trim(),
+      sender: req.user ? req.user._id : undefined,
+      audit: auditContext(req)
+    });
+    res.status(201).json(savedMsg);
+  } catch (error) {
+    handleRouteError(res, error, 'Error sending chat message');
+  }
+});
+
+/**
+ * Admin chat inbox - conversations ordered by latest activity
+ * Supports the shared pagination contract. The unread message count across
+ * all matching conversations is sent in the X-Total-Unread header.
+ * @route GET /api/admin/chat/inbox
+ * @param {String} status - 'open', 'closed' or 'all' (default 'open')
+ * @param {Boolean} unread - Only conversations with unread visitor messages
+ * @returns {Array|Object} Array of conversations, or a paginated envelope
+ */
+app.get('/api/admin/chat/inbox', requireAuth, requireRole('admin'), validate({ query: { ...listQuery, status: { type: 'string', enum: ['open', 'closed', 'all'] }, unread: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const { status = 'open', unread } = req.query;
+    const filter = { ...dateRangeFilter(req.query) };
+    if (status !== 'all') filter.status = status;
+    if (unread === 'true') filter.unreadByAdmin = { $gt: 0 };
+
+    const [unreadTotals] = await Conversation.aggregate([
+      { $match: filter },
+      { $group: { _id: null, totalUnread: { $sum: '$unreadByAdmin' } } }
+    ]);
+    res.set('X-Total-Unread', String(unreadTotals ? unreadTotals.totalUnread : 0));
+    await sendList(req, res, Conversation, {
+      filter,
+      sortable: ['lastMessageAt', 'date'],
+      defaultSort: '-lastMessageAt'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching chat inbox');
+  }
+});
+
+/**
+ * Open or close a conversation
+ * @route PUT /api/admin/chat/conversations/:id
+ * @param {String} id - Conversation ID
+ * @param {String} status - 'open' or 'closed'
+ * @returns {Object} Updated conversation
+ */
+app.put('/api/admin/chat/conversations/:id', requireAuth, requireRole('admin'), validate({ params: idParams, body: { status: { type: 'string', required: true, enum: ['open', 'closed'] } } }), async (req, res) => {
+  try {
+    const { status } = req.body;
+    const conversation = await Conversation.findByIdAndUpdate(req.params.id, { status }, { new: true });
+    if (!conversation) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+
+    chatNamespace.to(conversationRoom(conversation._id)).to('admins').emit('conversation:updated', conversation);
+    res.status(200).json(conversation);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating conversation');
+  }
+});
+
+/**
+ * Get all chatbot intents
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/chatbot/intents
+ * @returns {Array|Object} Array of intents, highest priority first, or a paginated envelope
+ */
+app.get('/api/admin/chatbot/intents', requireAuth, requireRole('admin'), validate({ query: listQuery }), async (req, res) => {
+  try {
+    await sendList(req, res, BotIntent, {
+      filter: dateRangeFilter(req.query),
+      sortable: ['priority', 'name', 'date'],
+      defaultSort: '-priority'
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching chatbot intents');
+  }
+});
+
+/**
+ * Create a chatbot intent
+ * @route POST /api/admin/chatbot/intents
+ * @param {String} name - Intent name
+ * @param {Array} keywords - Keywords that trigger the intent
+ * @param {String} pattern - Regular expression that triggers the intent
+ * @param {String} response - Canned reply
+ * @param {String} action - 'none', 'latestJobs' or 'productsByCategory'
+ * @param {String} category - Product category for 'productsByCategory'
+ * @param {Number} limit - Number of jobs/products to include
+ * @param {Number} priority - Higher priority intents are matched first
+ * @returns {Object} Created intent
+ */
+app.post('/api/admin/chatbot/intents', requireAuth, requireRole('admin'), validate({ body: botIntentRules }), async (req, res) => {
+  try {
+    const { name, keywords, pattern, response, action, category, limit, priority, isActive } = req.body;
+    const intent = new BotIntent({
+      name,
+      keywords: Array.isArray(keywords)
+        ? keywords
+        : keywords
+          ? keywords.split(',').map(keyword => keyword.trim())
+          : [],
+      pattern,
+      response,
+      action,
+      category,
+      limit,
+      priority,
+      isActive
+    });
+
+    const savedIntent = await intent.save();
+    res.status(201).json(savedIntent);
+  } catch (error) {
+    handleRouteError(res, error, 'Error creating chatbot intent');
+  }
+});
+
+/**
+ * Update a chatbot intent
+ * @route PUT /api/admin/chatbot/intents/:id
+ * @param {String} id - Intent ID
+ * @returns {Object} Updated intent
+ */
+app.put('/api/admin/chatbot/intents/:id', requireAuth, requireRole('admin'), validate({ params: idParams, body: optionalRules(botIntentRules) }), async (req, res) => {
+  try {
+    const intent = await BotIntent.findById(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Intent not found' });
+    }
+
+    const fields = ['name', 'pattern', 'response', 'action', 'category', 'limit', 'priority', 'isActive'];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) intent[field] = req.body[field];
+    });
+    if (req.body.keywords !== undefined) {
+      const { keywords } = req.body;
+      intent.keywords = Array.isArray(keywords)
+        ? keywords
+        : keywords
+          ? keywords.split(',').map(keyword => keyword.trim())
+          : [];
+    }
+
+    const updatedIntent = await intent.save();
+    res.status(200).json(updatedIntent);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating chatbot intent');
+  }
+});
+
+/**
+ * Delete a chatbot intent
+ * @route DELETE /api/admin/chatbot/intents/:id
+ * @param {String} id - Intent ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/admin/chatbot/intents/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const intent = await BotIntent.findByIdAndDelete(req.params.id);
+    if (!intent) {
+      return res.status(404).json({ message: 'Intent not found' });
+    }
+    res.status(200).json({ message: 'Intent deleted successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting chatbot intent');
+  }
+});
+
+/**
+ * Get job applications (recruiter)
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/applications
+ * @param {String} job - Job ID
+ * @param {String} stage - Comma-separated stages
+ * @param {String} email - Candidate email contains
+ * @returns {Array|Object} Array of applications, or a paginated envelope
+ */
+app.get('/api/admin/applications', requireAuth, requireRole('recruiter'), validate({ query: { ...listQuery, job: { type: 'objectId' }, stage: { type: 'list' }, email: { type: 'string', max: 200 } } }), async (req, res) => {
+  try {
+    const { job, stage, email } = req.query;
+    await sendList(req, res, Application, {
+      filter: {
+        ...(job && { job }),
+        ...(stage && { stage: { $in: splitQueryList(stage) } }),
+        ...(email && { email: containsFilter(email) }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'name', 'stage']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching applications');
+  }
+});
+
+/**
+ * Get a single job application (recruiter)
+ * @route GET /api/admin/applications/:id
+ * @param {String} id - Application ID
+ * @returns {Object} Application with its job
+ */
+app.get('/api/admin/applications/:id', requireAuth, requireRole('recruiter'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const application = await Application.findById(req.params.id).populate('job', 'title company location');
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    res.status(200).json(application);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching application');
+  }
+});
+
+/**
+ * Move a job application to another stage (recruiter)
+ * @route PUT /api/admin/applications/:id/stage
+ * @param {String} id - Application ID
+ * @param {String} stage - 'new', 'screening', 'interview', 'offer' or 'rejected'
+ * @returns {Object} Updated application
+ */
+app.put('/api/admin/applications/:id/stage', requireAuth, requireRole('recruiter'), validate({ params: idParams, body: { stage: { type: 'string', required: true, enum: APPLICATION_STAGES } } }), async (req, res) => {
+  try {
+    const { stage } = req.body;
+    const application = await Application.findById(req.params.id);
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+
+    if (application.stage !== stage) {
+      application.stage = stage;
+      application.stageHistory.push({ stage, changedBy: req.user._id });
+      await application.save();
+    }
+    res.status(200).json(application);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating application stage');
+  }
+});
+
+/**
+ * Add an internal note to a job application (recruiter)
+ * @route POST /api/admin/applications/:id/notes
+ * @param {String} id - Application ID
+ * @param {String} text - Note text
+ * @returns {Object} Updated application
+ */
+app.post('/api/admin/applications/:id/notes', requireAuth, requireRole('recruiter'), validate({ params: idParams, body: noteBody }), async (req, res) => {
+  try {
+    const { text } = req.body;
+    const application = await Application.findByIdAndUpdate(
+      req.params.id,
+      { $push: { notes: { text: String(text).trim(), author: req.user._id, authorName: req.user.name } } },
+      { new: true }
+    );
+    if (!application) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    res.status(201).json(application);
+  } catch (error) {
+    handleRouteError(res, error, 'Error adding application note');
+  }
+});
+
+/**
+ * Per-job analytics summary (recruiter)
+ * @route GET /api/admin/analytics/jobs
+ * @param {Date} dateFrom - Start of range (default 30 days ago)
+ * @param {Date} dateTo - End of range
+ * @param {String} company - Only jobs at this company
+ * @returns {Array} Views, shares, applications, unique visitors and conversion per job
+ */
+app.get('/api/admin/analytics/jobs', requireAuth, requireRole('recruiter'), validate({ query: { ...analyticsQuery, company: { type: 'string', max: 200 } } }), async (req, res) => {
+  try {
+    const match = {
+      ...analyticsDateFilter(req.query),
+      ...(req.query.company && { company: req.query.company })
+    };
+    const summary = await summarizeJobEvents(match, 'job');
+
+    const jobs = await JobPosting.find({ _id: { $in: summary.map(row => row.job) } }).select('title company isActive');
+    const jobsById = new Map(jobs.map(job => [job._id.toString(), job]));
+    res.status(200).json(summary.map(row => {
+      const job = jobsById.get(row.job.toString());
+      return { ...row, title: job ? job.title : null, company: job ? job.company : null, isActive: job ? job.isActive : false };
+    }));
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching job analytics');
+  }
+});
+
+/**
+ * Detailed analytics for one job (recruiter)
+ * @route GET /api/admin/analytics/jobs/:id
+ * @param {String} id - Job ID
+ * @param {String} interval - 'day' or 'week' (default 'day')
+ * @param {Date} dateFrom - Start of range (default 30 days ago)
+ * @param {Date} dateTo - End of range
+ * @returns {Object} Totals, time series, browser and referrer breakdowns
+ */
+app.get('/api/admin/analytics/jobs/:id', requireAuth, requireRole('recruiter'), validate({ params: idParams, query: analyticsQuery }), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+
+    const job = await JobPosting.findById(req.params.id).select('title company');
+    if (!job) {
+      return res.status(404).json({ message: 'Job posting not found' });
+    }
+
+    const analytics = await buildJobAnalytics({ job: job._id, ...analyticsDateFilter(req.query) }, interval);
+    res.status(200).json({ job, ...analytics });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching job analytics');
+  }
+});
+
+/**
+ * Per-company analytics summary (recruiter)
+ * @route GET /api/admin/analytics/companies
+ * @param {Date} dateFrom - Start of range (default 30 days ago)
+ * @param {Date} dateTo - End of range
+ * @returns {Array} Views, shares, applications, unique visitors and conversion per company
+ */
+app.get('/api/admin/analytics/companies', requireAuth, requireRole('recruiter'), validate({ query: analyticsQuery }), async (req, res) => {
+  try {
+    const summary = await summarizeJobEvents(analyticsDateFilter(req.query), 'company');
+    res.status(200).json(summary);
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching company analytics');
+  }
+});
+
+/**
+ * Detailed analytics for one company across all its jobs (recruiter)
+ * @route GET /api/admin/analytics/companies/:company
+ * @param {String} company - Company name
+ * @param {String} interval - 'day' or 'week' (default 'day')
+ * @param {Date} dateFrom - Start of range (default 30 days ago)
+ * @param {Date} dateTo - End of range
+ * @returns {Object} Totals, time series, browser and referrer breakdowns
+ */
+app.get('/api/admin/analytics/companies/:company', requireAuth, requireRole('recruiter'), validate({ params: { company: { type: 'string', required: true, max: 200 } }, query: analyticsQuery }), async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    if (!ANALYTICS_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of: ${ANALYTICS_INTERVALS.join(', ')}` });
+    }
+
+    const analytics = await buildJobAnalytics(
+      { company: req.params.company, ...analyticsDateFilter(req.query) },
+      interval
+    );
+    res.status(200).json({ company: req.params.company, ...analytics });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching company analytics');
+  }
+});
+
+/**
+ * Get queued, sent and dead-lettered emails
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/emails
+ * @param {String} status - Comma-separated statuses: pending, sending, sent, dead
+ * @param {String} template - Template name
+ * @returns {Array|Object} Array of outbox emails, or a paginated envelope
+ */
+app.get('/api/admin/emails', requireAuth, requireRole('admin'), validate({ query: { ...listQuery, status: { type: 'list' }, template: { type: 'string', max: 50 } } }), async (req, res) => {
+  try {
+    const { status, template } = req.query;
+    await sendList(req, res, OutboxEmail, {
+      filter: {
+        ...(status && { status: { $in: splitQueryList(status) } }),
+        ...(template && { template }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'nextAttemptAt', 'sentAt', 'attempts']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching emails');
+  }
+});
+
+/**
+ * Retry a dead-lettered email
+ * @route POST /api/admin/emails/:id/retry
+ * @param {String} id - Outbox email ID
+ * @returns {Object} Requeued email
+ */
+app.post('/api/admin/emails/:id/retry', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const email = await OutboxEmail.findOneAndUpdate(
+      { _id: req.params.id, status: 'dead' },
+      { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+    if (!email) {
+      return res.status(404).json({ message: 'Dead-lettered email not found' });
+    }
+
+    setImmediate(processOutbox);
+    res.status(200).json(email);
+  } catch (error) {
+    handleRouteError(res, error, 'Error retrying email');
+  }
+});
+
+/**
+ * Get registered webhooks
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/webhooks
+ * @param {String} event - Comma-separated events the webhooks are subscribed to
+ * @param {Boolean} isActive - Filter by active flag
+ * @returns {Array|Object} Webhooks without their secrets, or a paginated envelope
+ */
+app.get('/api/admin/webhooks', requireAuth, requireRole('admin'), validate({
+  query: { ...listQuery, event: { type: 'list' }, isActive: { type: 'boolean' } }
+}), async (req, res) => {
+  try {
+    const { event, isActive } = req.query;
+    await sendList(req, res, Webhook, {
+      filter: {
+        ...(event && { events: { $in: splitQueryList(event) } }),
+        ...(isActive !== undefined && { isActive: isActive === 'true' }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'lastDeliveryAt', 'url']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching webhooks');
+  }
+});
+
+/**
+ * Register a webhook endpoint. The signing secret is only returned here and by rotate-secret.
+ * @route POST /api/admin/webhooks
+ * @param {String} url - Endpoint that receives signed JSON POSTs
+ * @param {Array} events - Events to send (array or comma-separated)
+ * @param {String} description - What the endpoint is for
+ * @param {Boolean} isActive - Defaults to true
+ * @returns {Object} Created webhook, including its secret
+ */
+app.post('/api/admin/webhooks', requireAuth, requireRole('admin'), validate({ body: webhookRules }), async (req, res) => {
+  try {
+    const { url, description, events, isActive } = req.body;
+    const webhook = await Webhook.create({
+      url,
+      description,
+      events: [...new Set(toList(events))],
+      isActive: isActive === undefined ? true : isActive === true || isActive === 'true',
+      secret: generateWebhookSecret(),
+      createdBy: req.user._id
+    });
+    res.status(201).json({ ...webhook.toJSON(), secret: webhook.secret });
+  } catch (error) {
+    handleRouteError(res, error, 'Error creating webhook');
+  }
+});
+
+/**
+ * Update a webhook's URL, events, description or active flag
+ * @route PUT /api/admin/webhooks/:id
+ * @param {String} id - Webhook ID
+ * @returns {Object} Updated webhook
+ */
+app.put('/api/admin/webhooks/:id', requireAuth, requireRole('admin'), validate({ params: idParams, body: optionalRules(webhookRules) }), async (req, res) => {
+  try {
+    const { url, description, events, isActive } = req.body;
+    const updateData = {
+      ...(url !== undefined && { url }),
+      ...(description !== undefined && { description }),
+      ...(events !== undefined && { events: [...new Set(toList(events))] }),
+      ...(isActive !== undefined && { isActive: isActive === true || isActive === 'true' })
+    };
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    res.status(200).json(webhook);
+  } catch (error) {
+    handleRouteError(res, error, 'Error updating webhook');
+  }
+});
+
+/**
+ * Replace a webhook's signing secret
+ * @route POST /api/admin/webhooks/:id/rotate-secret
+ * @param {String} id - Webhook ID
+ * @returns {Object} Webhook, including its new secret
+ */
+app.post('/api/admin/webhooks/:id/rotate-secret', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const webhook = await Webhook.findByIdAndUpdate(req.params.id, { secret }, { new: true });
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    res.status(200).json({ ...webhook.toJSON(), secret });
+  } catch (error) {
+    handleRouteError(res, error, 'Error rotating webhook secret');
+  }
+});
+
+/**
+ * Send a test 'ping' event to a webhook
+ * @route POST /api/admin/webhooks/:id/ping
+ * @param {String} id - Webhook ID
+ * @returns {Object} Queued delivery
+ */
+app.post('/api/admin/webhooks/:id/ping', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const eventId = crypto.randomUUID();
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: 'ping',
+      eventId,
+      url: webhook.url,
+      payload: { id: eventId, event: 'ping', createdAt: new Date(), data: { webhook: webhook._id, events: webhook.events } },
+      maxAttempts: 1
+    });
+    setImmediate(processWebhookDeliveries);
+    res.status(202).json(delivery);
+  } catch (error) {
+    handleRouteError(res, error, 'Error pinging webhook');
+  }
+});
+
+/**
+ * Delete a webhook and its delivery log
+ * @route DELETE /api/admin/webhooks/:id
+ * @param {String} id - Webhook ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/admin/webhooks/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    res.status(200).json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting webhook');
+  }
+});
+
+/**
+ * Webhook delivery log, newest first
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/webhooks/deliveries
+ * @param {String} webhook - Webhook ID
+ * @param {String} event - Comma-separated events
+ * @param {String} status - Comma-separated statuses: pending, sending, delivered, dead
+ * @returns {Array|Object} Array of deliveries, or a paginated envelope
+ */
+app.get('/api/admin/webhooks/deliveries', requireAuth, requireRole('admin'), validate({
+  query: { ...listQuery, webhook: { type: 'objectId' }, event: { type: 'list' }, status: { type: 'list' } }
+}), async (req, res) => {
+  try {
+    const { webhook, event, status } = req.query;
+    await sendList(req, res, WebhookDelivery, {
+      filter: {
+        ...(webhook && { webhook }),
+        ...(event && { event: { $in: splitQueryList(event) } }),
+        ...(status && { status: { $in: splitQueryList(status) } }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'nextAttemptAt', 'deliveredAt', 'attempts']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching webhook deliveries');
+  }
+});
+
+/**
+ * Send a delivery's payload again, as a new delivery with a fresh set of attempts
+ * @route POST /api/admin/webhooks/deliveries/:id/redeliver
+ * @param {String} id - Webhook delivery ID
+ * @returns {Object} Queued delivery
+ */
+app.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const original = await WebhookDelivery.findById(req.params.id);
+    if (!original) {
+      return res.status(404).json({ message: 'Webhook delivery not found' });
+    }
+    const webhook = await Webhook.findById(original.webhook);
+    if (!webhook) {
+      return res.status(404).json({ message: 'Webhook not found' });
+    }
+
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event: original.event,
+      eventId: original.eventId,
+      url: webhook.url,
+      payload: original.payload,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      redeliveryOf: original._id
+    });
+    setImmediate(processWebhookDeliveries);
+    res.status(202).json(delivery);
+  } catch (error) {
+    handleRouteError(res, error, 'Error redelivering webhook');
+  }
+});
+
+/**
+ * Get newsletter subscribers
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/subscribers
+ * @param {String} status - Comma-separated statuses: pending, active, unsubscribed
+ * @param {String} email - Email contains
+ * @returns {Array|Object} Array of subscribers, or a paginated envelope
+ */
+app.get('/api/admin/subscribers', requireAuth, requireRole('admin'), validate({ query: { ...listQuery, status: { type: 'list' }, email: { type: 'string', max: 200 } } }), async (req, res) => {
+  try {
+    const { status, email } = req.query;
+    await sendList(req, res, Subscriber, {
+      filter: {
+        ...(status && { status: { $in: splitQueryList(status) } }),
+        ...(email && { email: containsFilter(email) }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'email', 'confirmedAt', 'lastDigestAt']
+    });
+  } catch (error) {
+    handleRouteError(res, error, 'Error fetching subscribers');
+  }
+});
+
+// Query filters shared by the audit log listing and its CSV export
+const auditQuery = {
+  ...listQuery,
+  resource: { type: 'list', items: { type: 'string', enum: AUDIT_RESOURCES } },
+  resourceId: { type: 'objectId' },
+  action: { type: 'list', items: { type: 'string', enum: AUDIT_ACTIONS } },
+  actor: { type: 'objectId' },
+  actorType: { type: 'list', items: { type: 'string', enum: AUDIT_ACTOR_TYPES } }
+};
+
+const auditFilter = (query) => ({
+  ...(query.resource && { resource: { $in: splitQueryList(query.resource) } }),
+  ...(query.resourceId && { resourceId: query.resourceId }),
+  ...(query.action && { action: { $in: splitQueryList(query.action) } }),
+  ...(query.actor && { actor: query.actor }),
+  ...(query.actorType && { actorType: { $in: splitQueryList(query.actorType) } }),
+  ...dateRangeFilter(query)
+});
+
+/**
+ * Get the audit log, newest first
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/audit
+ * @param {String} resource - Comma-separated: BlogPost, JobPosting, Product, Contact, ChatMessage
+ * @param {String} resourceId - Changes to one document
+ * @param {String} action - Comma-separated: create, update, delete, restore, purge
+ * @param {String} actor - Admin user ID
+ * @param {String} actorType - Comma-separated: admin, visitor, system
+ * @param {String} dateFrom - Changes on or after this date
+ * @param {String} dateTo - Changes on or before this date
+ * @returns {Array|Object} Array of audit entries, or a paginated envelope
+ */
+app.get('/api/admin/audit', requireAuth, requireRole('admin'), validate({ query: auditQuery }), async (req, res) => {
+  try {
+    await sendList(req, res, AuditLog, { filter: auditFilter(req.query) });
   } catch (error) {
-    console.error('Error fetching job posting:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching audit log');
   }
 });
 
 /**
- * Track job share
- * @route POST /api/jobs/:id/share
- * @param {String} id - Job ID
- * @returns {Object} Updated job posting
+ * Export the audit log as CSV, streamed newest first
+ * Takes the same filters as GET /api/admin/audit.
+ * @route GET /api/admin/audit/export
+ * @returns {String} text/csv attachment
  */
-app.post('/api/jobs/:id/share', async (req, res) => {
+app.get('/api/admin/audit/export', requireAuth, requireRole('admin'), validate({ query: auditQuery }), async (req, res) => {
   try {
-    const job = await JobPosting.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ message: 'Job posting not found' });
-    }
-    
-    const { ip } = getClientInfo(req);
-    
-    // Track share
-    if (!job.shares.uniqueIPs.includes(ip)) {
-      job.shares.uniqueIPs.push(ip);
+    const cursor = AuditLog.find(auditFilter(req.query)).sort({ date: -1, _id: -1 }).lean().cursor();
+
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    await writeChunk(res, csvRow([
+      'date', 'actorType', 'actor', 'actorName', 'actorRole', 'action',
+      'resource', 'resourceId', 'label', 'fields', 'changes', 'ip', 'visitor'
+    ]));
+    for await (const entry of cursor) {
+      await writeChunk(res, csvRow([
+        entry.date, entry.actorType, entry.actor, entry.actorName, entry.actorRole, entry.action,
+        entry.resource, entry.resourceId, entry.label,
+        entry.changes.map(change => change.field).join(' '),
+        entry.changes, entry.ip, entry.visitor
+      ]));
     }
-    job.shares.count += 1;
-    
-    await job.save();
-    
-    res.status(200).json({ message: 'Share tracked successfully', shares: job.shares });
+    res.end();
   } catch (error) {
-    console.error('Error tracking job share:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    // Once rows are streaming the status can't change, so cut the download short
+    if (res.headersSent) {
+      console.error('Error exporting audit log:', error);
+      return res.destroy(error);
+    }
+    handleRouteError(res, error, 'Error exporting audit log');
   }
 });
 
 /**
- * Track job application
- * @route POST /api/jobs/:id/apply
- * @param {String} id - Job ID
- * @returns {Object} Updated job posting
+ * Bulk import jobs, products or contacts from a CSV or JSON file.
+ * Every row is validated first; if any row fails nothing is imported and the
+ * errors for each failing row are returned. ?dryRun=true only runs the checks.
+ * @route POST /api/admin/import/:type
+ * @param {String} type - jobs, products or contact
+ * @param {File} file - .csv with a header row, or .json array of objects
+ * @param {String} format - csv or json, by default taken from the file extension
+ * @param {String} dryRun - 'true' to validate without importing
+ * @returns {Object} Import report: total, valid, invalid, per-row errors and ignored columns
  */
-app.post('/api/jobs/:id/apply', async (req, res) => {
+app.post('/api/admin/import/:type', requireAuth, validate({
+  params: dataTypeParams,
+  query: { format: { type: 'string', enum: DATA_FORMATS }, dryRun: { type: 'boolean' } }
+}), requireDataRole, handleUpload(dataUpload.single('file')), async (req, res) => {
   try {
-    const job = await JobPosting.findById(req.params.id);
-    if (!job) {
-      return res.status(404).json({ message: 'Job posting not found' });
+    if (!req.file) {
+      return res.status(400).json({ message: 'Upload a .csv or .json file in the file field' });
     }
-    
-    const { ip } = getClientInfo(req);
-    
-    // Track application
-    if (!job.applications.uniqueIPs.includes(ip)) {
-      job.applications.uniqueIPs.push(ip);
+    const { type } = req.params;
+    const { Model, rules, label, event, afterCreate } = DATA_TYPES[type];
+    const format = req.query.format || (/\.json$/i.test(req.file.originalname) ? 'json' : 'csv');
+
+    const { rows, columns } = readImportFile(req.file, format);
+    if (!rows.length) {
+      return res.status(400).json({ message: 'Import file has no rows' });
     }
-    job.applications.count += 1;
-    
-    await job.save();
-    
-    res.status(200).json({ message: 'Application tracked successfully', applications: job.applications });
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({ message: `Import files can have at most ${IMPORT_MAX_ROWS} rows` });
+    }
+
+    const { docs, errors } = validateImportRows(type, rows);
+    const report = {
+      dryRun: req.query.dryRun === 'true',
+      total: rows.length,
+      valid: docs.length,
+      invalid: errors.length,
+      errors,
+      ignoredColumns: columns.filter(column => !rules[column.split('.')[0]])
+    };
+
+    if (report.dryRun) {
+      return res.status(200).json(report);
+    }
+    if (errors.length) {
+      return res.status(400).json({ message: 'Some rows are invalid, nothing was imported', ...report });
+    }
+
+    const created = await Model.insertMany(docs);
+    const context = auditContext(req);
+    for (const doc of created) {
+      await recordAudit(context, 'create', null, doc);
+      if (afterCreate) await afterCreate(doc);
+      await emitWebhookEvent(event, doc);
+    }
+    res.status(201).json({ message: `Imported ${created.length} ${label}`, ...report, ids: created.map(doc => doc._id) });
   } catch (error) {
-    console.error('Error tracking job application:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error importing data');
   }
 });
 
 /**
- * Create a new job posting
- * 
- * @route POST /api/jobs
- * @param {String} title - Job title
- * @param {String} company - Company name
- * @param {String} location - Job location
- * @param {String} type - Job type
- * @param {String} description - Job description
- * @param {Array} requirements - Job requirements
- * @param {Array} benefits - Job benefits
- * @param {Object} salary - Salary information
- * @param {Date} applicationDeadline - Application deadline
- * @returns {Object} Created job posting
+ * Export jobs, products or contacts as CSV or JSON, streamed newest first
+ * @route GET /api/admin/export/:type
+ * @param {String} type - jobs, products or contact
+ * @param {String} format - csv (default) or json
+ * @param {String} fields - Comma-separated fields to include, dotted for nested ones (salary.min)
+ * @param {String} dateFrom - Created on or after this date
+ * @param {String} dateTo - Created on or before this date
+ * @returns {String} text/csv or application/json attachment
  */
-app.post('/api/jobs', async (req, res) => {
+app.get('/api/admin/export/:type', requireAuth, validate({
+  params: dataTypeParams,
+  query: {
+    format: { type: 'string', enum: DATA_FORMATS },
+    fields: { type: 'list' },
+    dateFrom: { type: 'date' },
+    dateTo: { type: 'date' }
+  }
+}), requireDataRole, async (req, res) => {
   try {
-    const {
-      title,
-      company,
-      location,
-      type,
-      description,
-      requirements,
-      benefits,
-      salary,
-      applicationDeadline,
-      applyUrl
-    } = req.body;
+    const { type } = req.params;
+    const { Model, fields: exportable } = DATA_TYPES[type];
+    const format = req.query.format || 'csv';
+    const fields = req.query.fields ? splitQueryList(req.query.fields) : exportable;
+    const unknown = fields.filter(field => !exportable.includes(field));
+    if (unknown.length) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ location: 'query', field: 'fields', message: `Unknown fields: ${unknown.join(', ')}. Exportable fields: ${exportable.join(', ')}` }]
+      });
+    }
 
-    const newJob = new JobPosting({
-      title,
-      company,
-      location,
-      type,
-      description,
-      requirements: Array.isArray(requirements)
-        ? requirements
-        : requirements
-          ? requirements.split(',').map(req => req.trim())
-          : [],
-      benefits: Array.isArray(benefits)
-        ? benefits
-        : benefits
-          ? benefits.split(',').map(benefit => benefit.trim())
-          : [],
-      salary,
-      applicationDeadline,
-      applyUrl
+    const cursor = Model.find(dateRangeFilter(req.query)).sort({ date: -1, _id: -1 }).lean().cursor();
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${type}-${new Date().toISOString().slice(0, 10)}.${format}"`
     });
 
-    const savedJob = await newJob.save();
-    res.status(201).json(savedJob);
+    if (format === 'csv') {
+      await writeChunk(res, csvRow(fields));
+      for await (const doc of cursor) {
+        await writeChunk(res, csvRow(fields.map(field => exportValue(doc, field, format))));
+      }
+      return res.end();
+    }
+
+    // JSON is written one record at a time, nested the same way the import expects
+    let separator = '';
+    await writeChunk(res, '[');
+    for await (const doc of cursor) {
+      const record = fields.reduce((item, field) => setPath(item, field, exportValue(doc, field, format)), {});
+      await writeChunk(res, `${separator}\n${JSON.stringify(record)}`);
+      separator = ',';
+    }
+    res.end('\n]\n');
   } catch (error) {
-    console.error('Error creating job posting:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    // Once rows are streaming the status can't change, so cut the download short
+    if (res.headersSent) {
+      console.error('Error exporting data:', error);
+      return res.destroy(error);
+    }
+    handleRouteError(res, error, 'Error exporting data');
   }
 });
 
 /**
- * Get all chat messages
- * @route GET /api/chat
- * @returns {Array} Array of chat messages
+ * Get the media library
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/media
+ * @param {String} unused - 'true' for items nothing references
+ * @param {String} mimeType - Comma-separated MIME types (image/png,image/jpeg)
+ * @returns {Array|Object} Array of media items, or a paginated envelope
  */
-app.get('/api/chat', async (req, res) => {
+app.get('/api/admin/media', requireAuth, requireRole('editor'), validate({ query: { ...listQuery, unused: { type: 'boolean' }, mimeType: { type: 'list' } } }), async (req, res) => {
   try {
-    const messages = await ChatMessage.find().sort({ date: 1 });
-    res.status(200).json(messages);
+    const { unused, mimeType } = req.query;
+    await sendList(req, res, Media, {
+      filter: {
+        ...(unused === 'true' && { references: { $size: 0 } }),
+        ...(mimeType && { mimeType: { $in: splitQueryList(mimeType) } }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'size', 'filename']
+    });
   } catch (error) {
-    console.error('Error fetching chat messages:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching media');
   }
 });
 
 /**
- * Get all contacts (admin only)
- * @route GET /api/contact
- * @returns {Array} Array of contact submissions
+ * Upload an image to the media library
+ * Use the returned _id as mediaId when creating or updating posts and products.
+ * @route POST /api/admin/media
+ * @param {File} image - Image file
+ * @returns {Object} Created media item
  */
-app.get('/api/contact', async (req, res) => {
+app.post('/api/admin/media', requireAuth, requireRole('editor'), handleUpload(upload.single('image')), async (req, res) => {
   try {
-    const contacts = await Contact.find().sort({ date: -1 });
-    res.status(200).json(contacts);
+    if (!req.file) {
+      return res.status(400).json({ message: 'An image file is required' });
+    }
+    const media = await saveImageUpload(req.file, req.user);
+    res.status(201).json(media);
   } catch (error) {
-    console.error('Error fetching contacts:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error uploading media');
   }
 });
 
 /**
- * Delete a contact submission
- * @route DELETE /api/contact/:id
- * @param {String} id - Contact ID
+ * Delete a media item
+ * Items still used by a post or product are only deleted with ?force=true.
+ * @route DELETE /api/admin/media/:id
+ * @param {String} id - Media ID
  * @returns {Object} Success message
  */
-app.delete('/api/contact/:id', async (req, res) => {
+app.delete('/api/admin/media/:id', requireAuth, requireRole('admin'), validate({ params: idParams, query: { force: { type: 'boolean' } } }), async (req, res) => {
   try {
-    await Contact.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Contact deleted successfully' });
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({ message: 'Media not found' });
+    }
+    if (media.references.length && req.query.force !== 'true') {
+      return res.status(409).json({ message: 'Media is still in use', references: media.references });
+    }
+
+    await deleteMedia(media);
+    res.status(200).json({ message: 'Media deleted successfully' });
   } catch (error) {
-    console.error('Error deleting contact:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error deleting media');
   }
 });
 
-/**
- * Update a blog post
- * @route PUT /api/blog/:id
- * @param {String} id - Blog post ID
- * @param {String} title - Blog post title
- * @param {String} content - Blog post content
- * @param {String} author - Author name
- * @param {String} excerpt - Blog post excerpt
- * @param {Array} tags - Blog post tags
- * @param {Boolean} published - Whether the post is published
- * @returns {Object} Updated blog post
- */
-app.put('/api/blog/:id', upload.single('image'), async (req, res) => {
+// Get all blogs (admin) - same filters as GET /api/blog plus ?published=
+app.get('/api/admin/blogs', requireAuth, requireRole('editor'), validate({ query: { ...listQuery, tag: { type: 'list' }, author: { type: 'string', max: 100 }, published: { type: 'boolean' } } }), async (req, res) => {
   try {
-    const { title, content, author, excerpt, tags, published } = req.body;
-    
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { resource_type: 'auto' },
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              reject(error);
-            } else {
-              resolve(result.secure_url);
-            }
-          }
-        );
-        stream.end(req.file.buffer);
-      });
-    }
-
-    const updateData = {
-      title,
-      content,
-      author,
-      excerpt,
-      tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      published: published === true || published === 'true',
-      ...(imageUrl && { image: imageUrl })
-    };
-
-    const updatedPost = await BlogPost.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
-
-    res.status(200).json(updatedPost);
+    const filter = blogListFilter(req.query);
+    if (req.query.published !== undefined) filter.published = req.query.published === 'true';
+    await sendList(req, res, BlogPost, { filter, sortable: BLOG_SORT_FIELDS });
   } catch (error) {
-    console.error('Error updating blog post:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching blog posts');
   }
 });
 
 /**
- * Delete a blog post
- * @route DELETE /api/blog/:id
- * @param {String} id - Blog post ID
- * @returns {Object} Success message
+ * Comment moderation queue
+ *
+ * @route GET /api/admin/comments
+ * @param {String} status - Comma-separated statuses, 'pending' by default, 'all' for every comment
+ * @param {String} post - Blog post ID
+ * @param {String} q - Text contains
+ * Supports ?page=&limit= or ?cursor=&limit= and ?sort=&order= (see sendList).
+ * @returns {Array|Object} Array of comments with their post's title and slug, or a paginated envelope
  */
-app.delete('/api/blog/:id', async (req, res) => {
+app.get('/api/admin/comments', requireAuth, requireRole('editor'), validate({ query: { ...listQuery, status: { type: 'list' }, post: { type: 'objectId' } } }), async (req, res) => {
   try {
-    await BlogPost.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Blog post deleted successfully' });
+    const { status = 'pending', post, q } = req.query;
+    await sendList(req, res, Comment, {
+      filter: {
+        ...(status !== 'all' && { status: { $in: splitQueryList(status) } }),
+        ...(post && { post }),
+        ...(q && { text: containsFilter(q) }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'spamScore'],
+      transform: comments => Comment.populate(comments, { path: 'post', select: 'title slug' })
+    });
   } catch (error) {
-    console.error('Error deleting blog post:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching comments');
   }
 });
 
 /**
- * Update a job posting
- * @route PUT /api/jobs/:id
- * @param {String} id - Job posting ID
- * @returns {Object} Updated job posting
+ * Approve, reject or mark comments as spam in bulk
+ *
+ * @route POST /api/admin/comments/moderate
+ * @param {Array} ids - Comment IDs
+ * @param {String} status - 'approved', 'rejected', 'spam' or 'pending'
+ * @returns {Object} Number of comments matched and changed
  */
-app.put('/api/jobs/:id', async (req, res) => {
+app.post('/api/admin/comments/moderate', requireAuth, requireRole('editor'), validate({
+  body: {
+    ids: { type: 'array', required: true, max: 100, items: { type: 'objectId' } },
+    status: { type: 'string', required: true, enum: COMMENT_STATUSES }
+  }
+}), async (req, res) => {
   try {
-    const {
-      title, company, location, type, description, requirements, benefits,
-      salary, applicationDeadline, applyUrl, isActive
-    } = req.body;
-
-    const updateData = {
-      title,
-      company,
-      location,
-      type,
-      description,
-      requirements: Array.isArray(requirements) ? requirements : (requirements ? requirements.split(',').map(req => req.trim()) : []),
-      benefits: Array.isArray(benefits) ? benefits : (benefits ? benefits.split(',').map(benefit => benefit.trim()) : []),
-      salary: salary || {},
-      applicationDeadline: applicationDeadline ? new Date(applicationDeadline) : null,
-      applyUrl,
-      isActive: isActive === true || isActive === 'true'
-    };
+    const { ids, status } = req.body;
+    const comments = await Comment.find({ _id: { $in: ids } }).select('post');
+    if (!comments.length) {
+      return res.status(404).json({ message: 'No comments found' });
+    }
 
-    const updatedJob = await JobPosting.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
+    const result = await Comment.updateMany(
+      { _id: { $in: comments.map(comment => comment._id) } },
+      { status, moderatedBy: req.user._id, moderatedAt: new Date() }
     );
+    await refreshCommentCounts(comments.map(comment => comment.post));
 
-    if (!updatedJob) {
-      return res.status(404).json({ message: 'Job posting not found' });
-    }
+    res.status(200).json({ matched: comments.length, modified: result.modifiedCount });
+  } catch (error) {
+    handleRouteError(res, error, 'Error moderating comments');
+  }
+});
 
-    res.status(200).json(updatedJob);
+// Get all jobs (admin) - same filters as GET /api/jobs plus ?isActive=
+app.get('/api/admin/jobs', requireAuth, requireRole('recruiter'), validate({ query: { ...jobListQuery, isActive: { type: 'boolean' } } }), async (req, res) => {
+  try {
+    const filter = jobListFilter(req.query);
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    await sendList(req, res, JobPosting, { filter, sortable: JOB_SORT_FIELDS });
   } catch (error) {
-    console.error('Error updating job posting:', error);
-    console.error('Request body:', req.body);
-    console.error('Job ID:', req.params.id);
-    res.status(500).json({ message: 'An error occurred', error: error.message });
+    handleRouteError(res, error, 'Error fetching job postings');
   }
 });
 
 /**
- * Delete a job posting
- * @route DELETE /api/jobs/:id
- * @param {String} id - Job posting ID
- * @returns {Object} Success message
+ * Structured data check for all jobs, including inactive ones, so recruiters
+ * can fix postings before they go live
+ *
+ * @route GET /api/admin/jobs/jsonld
+ * @param {Boolean} invalid - Only jobs with missing required fields
+ * @param {Boolean} isActive - Filter by active status
+ * @returns {Array} { id, title, company, isActive, valid, issues, jsonld } per job
  */
-app.delete('/api/jobs/:id', async (req, res) => {
+app.get('/api/admin/jobs/jsonld', requireAuth, requireRole('recruiter'), validate({ query: { invalid: { type: 'boolean' }, isActive: { type: 'boolean' } } }), async (req, res) => {
   try {
-    await JobPosting.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Job posting deleted successfully' });
+    const filter = req.query.isActive !== undefined ? { isActive: req.query.isActive === 'true' } : {};
+    const jobs = await JobPosting.find(filter).sort({ date: -1 }).lean();
+
+    const report = jobs
+      .map(job => ({
+        id: job._id,
+        title: job.title,
+        company: job.company,
+        isActive: job.isActive,
+        ...buildJobPostingJsonLd(job)
+      }))
+      .filter(entry => req.query.invalid !== 'true' || !entry.valid);
+
+    res.status(200).json(report);
   } catch (error) {
-    console.error('Error deleting job posting:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error checking job structured data');
   }
 });
 
 /**
- * Delete a chat message
- * @route DELETE /api/chat/:id
- * @param {String} id - Chat message ID
- * @returns {Object} Success message
+ * Number of trashed items per type the user can manage
+ * @route GET /api/admin/trash
+ * @returns {Object} { type: count }
  */
-app.delete('/api/chat/:id', async (req, res) => {
+app.get('/api/admin/trash', requireAuth, async (req, res) => {
   try {
-    await ChatMessage.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Chat message deleted successfully' });
+    const types = Object.entries(TRASH_TYPES)
+      .filter(([, { role }]) => req.user.role === 'admin' || req.user.role === role);
+    const counts = await Promise.all(types.map(([, { Model }]) => Model.countDocuments({ deletedAt: { $ne: null } })));
+    res.status(200).json(Object.fromEntries(types.map(([type], index) => [type, counts[index]])));
   } catch (error) {
-    console.error('Error deleting chat message:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching trash');
   }
 });
+
 /**
- * Send a chat message
- * @route POST /api/chat
- * @param {String} from - Sender ('user', 'admin', or 'bot')
- * @param {String} text - Message text
- * @returns {Object} Created chat message
+ * Trashed items of one type, most recently deleted first
+ * Supports the shared pagination contract.
+ * @route GET /api/admin/trash/:type
+ * @param {String} type - blog, jobs, products, contact or chat
+ * @returns {Array|Object} Array of trashed items, or a paginated envelope
  */
-app.post('/api/chat', async (req, res) => {
+app.get('/api/admin/trash/:type', requireAuth, validate({ params: trashParams, query: listQuery }), requireTrashRole, async (req, res) => {
   try {
-    const { from, text } = req.body;
-    const newMsg = new ChatMessage({ from, text });
-    const savedMsg = await newMsg.save();
-    res.status(201).json(savedMsg);
+    await sendList(req, res, TRASH_TYPES[req.params.type].Model, {
+      filter: { deletedAt: { $ne: null }, ...dateRangeFilter(req.query) },
+      sortable: ['deletedAt', 'date'],
+      defaultSort: '-deletedAt'
+    });
   } catch (error) {
-    console.error('Error sending chat message:', error);
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching trash');
   }
 });
 
-// Get all blogs (admin)
-app.get('/api/admin/blogs', async (req, res) => {
+/**
+ * Restore a trashed item
+ * @route POST /api/admin/trash/:type/:id/restore
+ * @param {String} type - blog, jobs, products, contact or chat
+ * @param {String} id - Item ID
+ * @returns {Object} Restored item
+ */
+app.post('/api/admin/trash/:type/:id/restore', requireAuth, validate({ params: { ...trashParams, ...idParams } }), requireTrashRole, async (req, res) => {
   try {
-    const posts = await BlogPost.find().sort({ date: -1 });
-    res.status(200).json(posts);
+    const { Model, label } = TRASH_TYPES[req.params.type];
+    const item = await Model.findOneAndUpdate(
+      { _id: req.params.id, deletedAt: { $ne: null } },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+      { new: true }
+    );
+    if (!item) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+    await recordAudit(auditContext(req), 'restore', null, item);
+    res.status(200).json(item);
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error restoring from trash');
   }
 });
 
-// Get all jobs (admin)
-app.get('/api/admin/jobs', async (req, res) => {
+/**
+ * Permanently delete a trashed item
+ * @route DELETE /api/admin/trash/:type/:id
+ * @param {String} type - blog, jobs, products, contact or chat
+ * @param {String} id - Item ID
+ * @returns {Object} Success message
+ */
+app.delete('/api/admin/trash/:type/:id', requireAuth, validate({ params: { ...trashParams, ...idParams } }), requireTrashRole, async (req, res) => {
   try {
-    const jobs = await JobPosting.find().sort({ date: -1 });
-    res.status(200).json(jobs);
+    const { Model, label } = TRASH_TYPES[req.params.type];
+    const item = await Model.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!item || !(await purgeTrashed(req.params.type, item, auditContext(req)))) {
+      return res.status(404).json({ message: `${label} not found in trash` });
+    }
+    res.status(200).json({ message: `${label} permanently deleted` });
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error purging from trash');
   }
 });
 
-// Get all products
-app.get('/api/products', async (req, res) => {
+// Get all products (?q= full-text search, ?category= filter, shared pagination contract)
+app.get('/api/products', validate({ query: { ...listQuery, category: { type: 'list' } } }), async (req, res) => {
   try {
-    const products = await Product.find().sort({ date: -1 });
-    res.status(200).json(products);
+    await sendList(req, res, Product, {
+      filter: {
+        ...(req.query.q && { $text: { $search: req.query.q } }),
+        ...(req.query.category && { category: { $in: splitQueryList(req.query.category) } }),
+        ...dateRangeFilter(req.query)
+      },
+      sortable: ['date', 'name', 'category']
+    });
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error fetching products');
   }
 });
 
 // Create a new product
-app.post('/api/products', upload.single('image'), async (req, res) => {
+app.post('/api/products', requireAuth, requireRole('admin'), handleUpload(upload.single('image')), validate({ body: productRules }), async (req, res) => {
   try {
     const { name, category, description } = req.body;
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { resource_type: 'auto' },
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              reject(error);
-            } else {
-              resolve(result.secure_url);
-            }
-          }
-        );
-        stream.end(req.file.buffer);
-      });
-    }
+    // New upload or an existing media library item (mediaId)
+    const media = await resolveImageMedia(req);
+    const imageUrl = media ? media.url : '';
     const newProduct = new Product({ name, category, description, image: imageUrl });
     const savedProduct = await newProduct.save();
+    await attachMedia(media, 'Product', savedProduct._id);
+    await recordAudit(auditContext(req), 'create', null, savedProduct);
+    await emitWebhookEvent('product.created', savedProduct);
     res.status(201).json(savedProduct);
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error creating product');
   }
 });
 
 // Update a product
-app.put('/api/products/:id', upload.single('image'), async (req, res) => {
+app.put('/api/products/:id', requireAuth, requireRole('admin'), handleUpload(upload.single('image')), validate({ params: idParams, body: optionalRules(productRules) }), async (req, res) => {
   try {
     const { name, category, description } = req.body;
-    let imageUrl = '';
-    if (req.file) {
-      imageUrl = await new Promise((resolve, reject) => {
-        const stream = cloudinary.uploader.upload_stream(
-          { resource_type: 'auto' },
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              reject(error);
-            } else {
-              resolve(result.secure_url);
-            }
-          }
-        );
-        stream.end(req.file.buffer);
-      });
-    }
+    // New upload or an existing media library item (mediaId)
+    const media = await resolveImageMedia(req);
+    const imageUrl = media ? media.url : '';
     const updateData = {
       name,
       category,
       description,
       ...(imageUrl && { image: imageUrl })
     };
-    const updatedProduct = await Product.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true }
-    );
+    const previous = media ? await Product.findById(req.params.id).select('image') : null;
+    const updatedProduct = await updateAudited(auditContext(req), Product, { _id: req.params.id }, updateData);
+    if (!updatedProduct) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    if (media) {
+      await attachMedia(media, 'Product', updatedProduct._id);
+      if (previous && previous.image !== media.url) {
+        await releaseMedia(previous.image, 'Product', updatedProduct._id);
+      }
+    }
     res.status(200).json(updatedProduct);
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    handleRouteError(res, error, 'Error updating product');
+  }
+});
+
+// Delete a product (moves it to the trash)
+app.delete('/api/products/:id', requireAuth, requireRole('admin'), validate({ params: idParams }), async (req, res) => {
+  try {
+    const product = await moveToTrash(Product, req.params.id, auditContext(req));
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+    res.status(200).json({ message: 'Product moved to trash' });
+  } catch (error) {
+    handleRouteError(res, error, 'Error deleting product');
+  }
+});
+
+// Scheduler for timed publishing, job expiry and chatbot email handoffs
+// All schedule state lives in MongoDB, so missed transitions are caught up after a restart
+const SCHEDULER_INTERVAL = (Number(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+// Update every due document one at a time so each transition gets its own audit entry
+const applyScheduledUpdate = async (Model, filter, update) => {
+  const due = await Model.find(filter).select('_id');
+  const updated = [];
+  for (const { _id } of due) {
+    const doc = await updateAudited(SYSTEM_AUDIT, Model, { ...filter, _id }, update);
+    if (doc) updated.push(doc);
+  }
+  return updated;
+};
+
+const runScheduledTransitions = async () => {
+  const now = new Date();
+  try {
+    const published = await applyScheduledUpdate(
+      BlogPost,
+      { publishAt: { $lte: now } },
+      { $set: { published: true }, $min: { publishedAt: now }, $unset: { publishAt: 1 } }
+    );
+    const unpublished = await applyScheduledUpdate(
+      BlogPost,
+      { unpublishAt: { $lte: now } },
+      { $set: { published: false }, $unset: { unpublishAt: 1 } }
+    );
+    const expired = await applyScheduledUpdate(
+      JobPosting,
+      { isActive: true, applicationDeadline: { $lte: now } },
+      { $set: { isActive: false, expiredAt: now } }
+    );
+
+    const handedOff = await runChatbotHandoffs(now);
+    for (const post of published) await emitWebhookEvent('blog.published', post);
+    for (const job of expired) await emitWebhookEvent('job.expired', job);
+
+    if (published.length || unpublished.length || expired.length || handedOff) {
+      console.log(`🗓️ Scheduler: published ${published.length}, unpublished ${unpublished.length} blog posts, expired ${expired.length} jobs, handed off ${handedOff} chats`);
+    }
+  } catch (error) {
+    console.error('Scheduler error:', error);
+  }
+};
+
+// Retention for tracking data
+const TRACKING_RETENTION_DAYS = Number(process.env.TRACKING_RETENTION_DAYS) || 90;
+const RETENTION_INTERVAL = 6 * 60 * 60 * 1000; // every 6 hours
+
+const purgeExpiredTrackingData = async () => {
+  try {
+    const cutoff = new Date(Date.now() - TRACKING_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const result = await JobEvent.deleteMany({ date: { $lt: cutoff } });
+    if (result.deletedCount) {
+      console.log(`🧹 Purged ${result.deletedCount} job events older than ${TRACKING_RETENTION_DAYS} days`);
+    }
+  } catch (error) {
+    console.error('Error purging tracking data:', error);
+  }
+};
+
+mongoose.connection.once('open', () => {
+  purgeExpiredTrackingData();
+  setInterval(purgeExpiredTrackingData, RETENTION_INTERVAL);
+});
+
+// Purge items that have been in the trash longer than TRASH_RETENTION_DAYS
+const purgeExpiredTrash = async () => {
+  try {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY);
+    for (const type of Object.keys(TRASH_TYPES)) {
+      const expired = await TRASH_TYPES[type].Model.find({ deletedAt: { $ne: null, $lte: cutoff } });
+      let purged = 0;
+      for (const item of expired) {
+        if (await purgeTrashed(type, item, SYSTEM_AUDIT)) purged += 1;
+      }
+      if (purged) {
+        console.log(`🗑️ Purged ${purged} ${type} items from the trash after ${TRASH_RETENTION_DAYS} days`);
+      }
+    }
+  } catch (error) {
+    console.error('Error purging trash:', error);
+  }
+};
+
+mongoose.connection.once('open', () => {
+  purgeExpiredTrash();
+  setInterval(purgeExpiredTrash, RETENTION_INTERVAL);
+});
+
+// Render posts saved before content rendering existed
+mongoose.connection.once('open', async () => {
+  try {
+    const posts = await BlogPost.find({ contentHtml: { $exists: false } });
+    for (const post of posts) {
+      await post.save();
+    }
+    if (posts.length) {
+      console.log(`📝 Rendered content for ${posts.length} blog posts`);
+    }
+  } catch (error) {
+    console.error('Error rendering blog content:', error);
   }
 });
 
-// Delete a product
-app.delete('/api/products/:id', async (req, res) => {
+// Drop the per-document visitor arrays that JobEvent replaced
+mongoose.connection.once('open', async () => {
   try {
-    await Product.findByIdAndDelete(req.params.id);
-    res.status(200).json({ message: 'Product deleted successfully' });
+    const result = await JobPosting.collection.updateMany(
+      {
+        $or: [
+          { 'views.uniqueIPs': { $exists: true } },
+          { 'views.browsers': { $exists: true } },
+          { 'shares.uniqueIPs': { $exists: true } },
+          { 'applications.uniqueIPs': { $exists: true } }
+        ]
+      },
+      {
+        $unset: {
+          'views.uniqueIPs': '',
+          'views.browsers': '',
+          'shares.uniqueIPs': '',
+          'applications.uniqueIPs': ''
+        }
+      }
+    );
+    if (result.modifiedCount) {
+      console.log(`🧹 Removed tracking arrays from ${result.modifiedCount} job postings`);
+    }
   } catch (error) {
-    res.status(500).json({ message: 'An error occurred' });
+    console.error('Error removing job tracking arrays:', error);
   }
 });
 
+// Start once connected so the first run catches up on anything missed while down
+mongoose.connection.once('open', () => {
+  runScheduledTransitions();
+  setInterval(runScheduledTransitions, SCHEDULER_INTERVAL);
+});
+
 // Health check endpoint for wake-up service
 app.get('/api/health', (req, res) => {
   res.status(200).json({ 
@@ -765,6 +6634,17 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Errors passed to next(), e.g. malformed JSON bodies from express.json()
+app.use((error, req, res, next) => {
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({ message: 'Request body is not valid JSON' });
+  }
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({ message: 'Request body is too large' });
+  }
+  handleRouteError(res, error, 'Unhandled error');
+});
+
 // Wake-up server mechanism to prevent Render free tier downtime
 const wakeUpServer = () => {
   const serverUrl = process.env.SERVER_URL 
@@ -799,4 +6679,5 @@ setTimeout(() => {
 }, 5000); // Wait 5 seconds after server starts
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+// Listen on the http server so Socket.IO shares the port with Express
+server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file